@@ -0,0 +1,93 @@
+import { FLBR } from '@system/config';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ */
+
+/**
+ * Base data model for the Blade Runner actor types.
+ * @extends {foundry.abstract.TypeDataModel}
+ */
+export default class BladeRunnerActorDataModel extends foundry.abstract.TypeDataModel {
+
+  /**
+   * The actor owning this data.
+   * @type {BladeRunnerActor}
+   * @readonly
+   */
+  get actor() {
+    return this.parent;
+  }
+
+  /* ------------------------------------------ */
+  /*  Data Preparation                          */
+  /* ------------------------------------------ */
+
+  /**
+   * Sets the number of initiative cards drawn, based on the modifiers of the actor's items.
+   * @protected
+   */
+  _prepareDrawSize() {
+    const drawSize = this.actor.getRollModifiers({ targets: 'drawSize' })
+      .reduce((tot, m) => tot + m.value, 0);
+    if (drawSize > 0) {
+      this.drawSize = drawSize + 1;
+    }
+  }
+}
+
+/* ------------------------------------------ */
+/*  Field Builders                            */
+/* ------------------------------------------ */
+
+/**
+ * The allowed die scores (A, B, C, D and none).
+ * @type {number[]}
+ */
+export const DIE_SCORE_CHOICES = Array.from(FLBR.scoreMap.values());
+
+/**
+ * Creates a field for a die score validated against `FLBR.scoreMap`.
+ * @param {number} [initial=0]
+ * @returns {foundry.data.fields.NumberField}
+ */
+export function dieScoreField(initial = 0) {
+  return new foundry.data.fields.NumberField({
+    required: true,
+    nullable: false,
+    integer: true,
+    initial,
+    choices: DIE_SCORE_CHOICES,
+  });
+}
+
+/**
+ * Creates a field for a capacity (health, resolve).
+ * The value cannot go below zero and the permanent loss cannot go above zero.
+ * @see {import('@actor/actor-document').ActorCapacity}
+ * @param {number} [initial=4]
+ * @returns {foundry.data.fields.SchemaField}
+ */
+export function capacityField(initial = 4) {
+  const fields = foundry.data.fields;
+  return new fields.SchemaField({
+    value: new fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial }),
+    max: new fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial }),
+    mod: new fields.NumberField({ required: true, nullable: false, integer: true, initial: 0 }),
+    permanentLoss: new fields.NumberField({ required: true, nullable: false, integer: true, max: 0, initial: 0 }),
+  });
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Coerces a legacy value into a legal die score, rounding down.
+ * @param {number|string} value
+ * @returns {number}
+ */
+export function coerceDieScore(value) {
+  value = Number(value) || 0;
+  if (DIE_SCORE_CHOICES.includes(value)) return value;
+  const lower = DIE_SCORE_CHOICES.filter(s => s <= value);
+  return lower.length ? Math.max(...lower) : 0;
+}
@@ -1,10 +1,12 @@
 import { FLBR } from '@system/config';
 import { ACTOR_SUBTYPES, ACTOR_TYPES, ATTRIBUTES, CAPACITIES,
-  DAMAGE_TYPES, ITEM_TYPES, SETTINGS_KEYS, SKILLS, SYSTEM_ID } from '@system/constants';
+  DAMAGE_TYPES, ITEM_TYPES, SETTINGS_KEYS, SKILLS, STATUS_EFFECTS, SYSTEM_ID } from '@system/constants';
 import Modifier from '@components/item-modifier';
 import BRRollHandler from '@components/roll/roller';
 import BladeRunnerDialog from '@components/dialog/dialog';
-import CrewCollection from '@components/vehicle-crew';
+import { startDeathSave } from '@components/death-save/death-save';
+import { getScarModifiers, getScarredAttribute } from '@components/scars/scars';
+import { getStatusModifiers, toggleStatus } from '@components/status-effects/status-effects';
 import { getTable } from '@utils/get-table';
 
 /**
@@ -15,6 +17,21 @@ import { getTable } from '@utils/get-table';
  * @property {number} permanentLoss
  */
 
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {string} id
+ * @property {string} currency   The meta-currency (promotion, humanity or chinyen)
+ * @property {number} amount     The points gained (positive) or spent (negative)
+ * @property {number} balance    The points after the change
+ * @property {string} reason
+ * @property {number} timestamp
+ * @property {string} user       The ID of the user who made the change
+ * @property {string} userName
+ * @property {import('@components/advancement/advancement').Advancement?} advancement
+ *   The advancement bought with the points, if any
+ * @property {boolean} undone    Whether the advancement was undone
+ */
+
 /**
  * @typedef {Object} VehicleOccupant
  * @property {string} id
@@ -140,143 +157,6 @@ export default class BladeRunnerActor extends Actor {
     return rollData;
   }
 
-  /* ----------------------------------------- */
-  /*  Data Preparation                         */
-  /* ----------------------------------------- */
-
-  /**
-   * Augments the basic Actor data model with additional dynamic data.
-   * @override
-   */
-  prepareData() {
-    super.prepareData();
-
-    switch (this.type) {
-      case ACTOR_TYPES.CHAR: this._prepareCharacterData(); break;
-      case ACTOR_TYPES.VEHICLE: this._prepareVehicleData(); break;
-    }
-  }
-
-  /* ----------------------------------------- */
-  /*  Data Preparation                         */
-  /*   → Character & NPC                       */
-  /* ----------------------------------------- */
-
-  /** @private */
-  _prepareCharacterData() {
-    this._prepareCapacities();
-    this._prepareDrawSize();
-  }
-
-  /* ----------------------------------------- */
-
-  /**
-   * Sets the maxima for each capacities *(e.g. Health & Resolve)*
-   * based on the character's attributes, nature and permanent losses.
-   * @see {ActorCapacity}
-   * @private
-   */
-  _prepareCapacities() {
-    // Rolls over each legal capacity.
-    for (const cap of Object.values(CAPACITIES)) {
-      /** @type {ActorCapacity} */
-      const capacity = this.system[cap];
-      const capData = FLBR.capacitiesMap[cap];
-      // Proceeds if it exists in the character.
-      if (capacity && capData) {
-        // Gets the nature modifier.
-        const natureModifier = FLBR.natureModifierMap[this.system.nature]?.[cap] ?? 0;
-        // Gets any permanent loss.
-        const permanentLoss = capacity.permanentLoss ?? 0;
-
-        let max = 0;
-        // Sums all specified attributes.
-        for (const attribute of capData.attributes) {
-          max += this.getAttribute(attribute);
-        }
-
-        // Performs some maths.
-        max = Math.ceil(max / 4) + natureModifier + capacity.mod + permanentLoss;
-
-        // Adds the modifiers from items.
-        max += this.getRollModifiers({ targets: [cap] })
-          .reduce((tot, m) => tot + m.value, 0);
-
-        // Clamps within margins defined in the config.
-        max = Math.clamped(max, 0, capData.max);
-
-        // Records the value in the actor data.
-        capacity.max = max;
-        if (capacity.value > max) {
-          capacity.value = max;
-          // this.updateSource({ [`system.${cap}.value`]: max });
-        }
-        capacity.ratio = capacity.value / capacity.max;
-      }
-    }
-  }
-
-  /* ----------------------------------------- */
-
-  /** @private */
-  _prepareDrawSize() {
-    const drawSize = this.getRollModifiers({ targets: 'drawSize' })
-      .reduce((tot, m) => tot + m.value, 0);
-    if (drawSize > 0) {
-      this.system.drawSize = drawSize + 1;
-    }
-  }
-
-  /* ----------------------------------------- */
-  /*  Data Preparation                         */
-  /*   → Vehicle                               */
-  /* ----------------------------------------- */
-
-  /** @private */
-  _prepareVehicleData() {
-    this._prepareHull();
-    this._prepareCrew();
-    this._prepareDrawSize();
-  }
-
-  /* ----------------------------------------- */
-
-  /** @private */
-  _prepareHull() {
-    const hull = this.system.hull;
-    if (hull.value > hull.max) {
-      hull.value = hull.max;
-      this.updateSource({ 'system.hull.value': hull.max });
-    }
-  }
-
-  /* ----------------------------------------- */
-
-  /** @private */
-  _prepareCrew() {
-    // Creates the crew collection if it does not exist yet.
-    if (!Object.hasOwn(this, 'crew')) {
-      const c = new CrewCollection(
-        this,
-        'system.crew',
-        'system.passengers',
-      );
-      Object.defineProperty(this, 'crew', {
-        value: c,
-        writable: false,
-      });
-    }
-
-    // Cleanses the source array of old entries.
-    const updatedCrew = this.system.crew.filter(p => game.actors.has(p.id));
-    if (updatedCrew.length !== this.system.crew.length) {
-      this.updateSource({ 'system.crew': updatedCrew });
-    }
-
-    // Updates the crew collection (builds actors).
-    this.crew.update();
-  }
-
   /* ----------------------------------------- */
   /*  Actor Creation                           */
   /* ----------------------------------------- */
@@ -291,19 +171,11 @@ export default class BladeRunnerActor extends Actor {
 
     switch (this.type) {
       case ACTOR_TYPES.CHAR:
+        // The default attributes and skills are set by the data model.
         updateData['prototypeToken.displayBars'] = CONST.TOKEN_DISPLAY_MODES.OWNER;
-        if (!this.system.attributes || !this.system.skills) {
-          throw new TypeError(`FLBR | "${this.type}" has No attribute nor skill`);
-        }
-        if (foundry.utils.isEmpty(this.system.skills)) {
-          // Sets the default starting value for each attribute.
-          for (const attribute in this.system.attributes) {
-            updateData[`system.attributes.${attribute}.value`] = FLBR.startingAttributeLevel;
-          }
-          // Builds the list of skills and sets their default values.
-          for (const skill in FLBR.skillMap) {
-            updateData[`system.skills.${skill}.value`] = FLBR.startingSkillLevel;
-          }
+        // NPCs use the compact sheet by default.
+        if (this.system.subtype === ACTOR_SUBTYPES.NPC && !this.getFlag('core', 'sheetClass')) {
+          updateData['flags.core.sheetClass'] = `${SYSTEM_ID}.BladeRunnerNpcSheet`;
         }
         break;
       case ACTOR_TYPES.VEHICLE:
@@ -326,6 +198,80 @@ export default class BladeRunnerActor extends Actor {
     }
   }
 
+  /* ----------------------------------------- */
+  /*  Actor Update                             */
+  /* ----------------------------------------- */
+
+  /** @override */
+  async _preUpdate(changed, options, user) {
+    await super._preUpdate(changed, options, user);
+    if (this.type === ACTOR_TYPES.CHAR && changed.system?.metaCurrencies) {
+      this._recordLedgerEntries(changed, options.ledgerReason, options.ledgerAdvancement);
+    }
+  }
+
+  /* ----------------------------------------- */
+  /*  Meta-Currencies Ledger (Characters only) */
+  /* ----------------------------------------- */
+
+  /**
+   * Gains or spends meta-currency points (promotion, humanity or chinyen).
+   * Each change is recorded in the ledger with the reason.
+   * @param {Object.<string, number>} changes  The points to add to each meta-currency (negative to spend)
+   * @param {Object}  [options]
+   * @param {string}  [options.reason]        The reason for the change, recorded in the ledger
+   * @returns {Promise.<this>}
+   */
+  async modifyMetaCurrencies(changes, { reason } = {}) {
+    if (this.type !== ACTOR_TYPES.CHAR) return this;
+    const updateData = {};
+    for (const [currency, amount] of Object.entries(changes)) {
+      const config = FLBR.metaCurrencies[currency];
+      if (!config || !amount) continue;
+      const value = this.system.metaCurrencies[currency] + amount;
+      updateData[`system.metaCurrencies.${currency}`] = Math.clamped(value, 0, config.max);
+    }
+    if (foundry.utils.isEmpty(updateData)) return this;
+    return this.update(updateData, { ledgerReason: reason });
+  }
+
+  /* ----------------------------------------- */
+
+  /**
+   * Appends an entry to the ledger for each meta-currency modified by an update.
+   * @param {Object}  changed       The differential data of the update (modified)
+   * @param {string} [reason]       The reason for the change
+   * @param {Object} [advancement]  The advancement bought with the points
+   * @private
+   */
+  _recordLedgerEntries(changed, reason, advancement = null) {
+    const entries = [];
+    for (const [currency, config] of Object.entries(FLBR.metaCurrencies)) {
+      const value = changed.system.metaCurrencies[currency];
+      if (value == undefined) continue;
+      const balance = Math.clamped(Number(value) || 0, 0, config.max);
+      const amount = balance - this.system.metaCurrencies[currency];
+      if (!amount) continue;
+      /** @type {LedgerEntry} */
+      const entry = {
+        id: foundry.utils.randomID(),
+        currency,
+        amount,
+        balance,
+        reason: reason ?? game.i18n.localize('FLBR.LEDGER.ManualChange'),
+        timestamp: Date.now(),
+        user: game.user.id,
+        userName: game.user.name,
+        advancement,
+        undone: false,
+      };
+      entries.push(entry);
+    }
+    if (!entries.length) return;
+    const ledger = changed.system.ledger ?? this._source.system.ledger ?? [];
+    changed.system.ledger = [...ledger, ...entries];
+  }
+
   /* ----------------------------------------- */
   /*  Crew Management (Vehicles only)          */
   /* ----------------------------------------- */
@@ -410,6 +356,8 @@ export default class BladeRunnerActor extends Actor {
     const modifiers = [];
     // Iterates over each item owned by the actor.
     for (const i of this.items) {
+      // Healed injuries no longer give their modifiers.
+      if (i.system.healed) continue;
       // If there are modifiers...
       if (i.hasModifier) {
         // // Physical items must be equipped to give their modifier.
@@ -418,6 +366,10 @@ export default class BladeRunnerActor extends Actor {
         if (mods.length > 0) modifiers.push(...mods);
       }
     }
+    // Scars from permanent injuries persist after the injury has healed.
+    if (this.type === ACTOR_TYPES.CHAR) modifiers.push(...getScarModifiers(this, options));
+    // Status effects carry their own rule modifiers.
+    modifiers.push(...getStatusModifiers(this, options));
     return modifiers;
   }
 
@@ -431,7 +383,10 @@ export default class BladeRunnerActor extends Actor {
    * @returns {number}
    */
   getAttribute(attributeKey) {
-    return +this.attributes?.[attributeKey]?.value;
+    const score = +this.attributes?.[attributeKey]?.value;
+    // Scars from permanent injuries step the attributes of the characters down.
+    if (this.type === ACTOR_TYPES.CHAR) return getScarredAttribute(this, attributeKey, score);
+    return score;
   }
 
   /**
@@ -443,6 +398,16 @@ export default class BladeRunnerActor extends Actor {
     return +this.skills?.[skillKey]?.value;
   }
 
+  /**
+   * Applies or removes a status effect on this actor.
+   * @param {string}   statusId The ID of the status (see `STATUS_EFFECTS`)
+   * @param {boolean} [active]  Whether to apply or remove the status, toggles it by default
+   * @returns {Promise.<boolean>} Whether the status is active
+   */
+  async toggleStatus(statusId, active) {
+    return toggleStatus(this, statusId, active);
+  }
+
   /**
    * Kills the actor, reducing its HP to 0.
    * @returns {Promise.<void>}
@@ -493,9 +458,13 @@ export default class BladeRunnerActor extends Actor {
    * Rolls a stat (attribute/skill) for this actor.
    * @param {string}   attributeKey   The identifier for the attribute
    * @param {?string}  skillkey       The identifier for the skill
-   * @param {Object}  [options={}]    Additional options
-   * @param {string}  [options.title] Custom title
-   * @returns {Promise.<BRRollHandler>} Rendered RollHandler FormApplication
+   * @param {Object}  [options={}]       Additional options
+   * @param {string}  [options.title]    Custom title
+   * @param {string}  [options.actionId] The ID of the actor action that triggered the roll
+   * @param {boolean} [options.skipDialog] Whether to roll straight away, without the roll dialog
+   * @param {Object}  [options.opposed]  The opposed roll this roll is part of (see `rollOpposed`)
+   * @returns {Promise.<BRRollHandler|ChatMessage>} Rendered RollHandler FormApplication,
+   *   or the chat message of the roll if the dialog was skipped
    */
   async rollStat(attributeKey, skillKey, options = {}) {
     if (!attributeKey) {
@@ -521,7 +490,11 @@ export default class BladeRunnerActor extends Actor {
 
     const modifiers = this.getRollModifiers({ targets });
     if (skillKey === SKILLS.FIREARMS) {
-      modifiers.push(...Modifier.getRangedCombatModifiers());
+      // The careful aim is already given by the Aiming status.
+      const ranged = Modifier.getRangedCombatModifiers();
+      modifiers.push(...(this.statuses.has(STATUS_EFFECTS.AIMING)
+        ? ranged.filter(m => m.target !== 'carefulAim')
+        : ranged));
     }
 
     const roller = new BRRollHandler({
@@ -532,7 +505,10 @@ export default class BladeRunnerActor extends Actor {
       maxPush: this.maxPush,
     }, {
       unlimitedPush: this.flags.bladerunner?.unlimitedPush,
+      actionId: options.actionId,
+      opposed: options.opposed,
     });
+    if (options.skipDialog) return roller.quickRoll();
     return roller.render(true);
   }
 
@@ -908,6 +884,9 @@ export default class BladeRunnerActor extends Actor {
     ChatMessage.applyRollMode(chatData, game.settings.get('core', 'rollMode'));
     await ChatMessage.create(chatData);
 
+    // Lethal injuries start the death saves.
+    if (crit.system.lethal) await startDeathSave(this, crit);
+
     return crit;
   }
 
@@ -2,6 +2,7 @@ import { FLBR } from '@system/config';
 import { ACTOR_TYPES, ITEM_TYPES, SETTINGS_KEYS, SYSTEM_ID } from '@system/constants';
 import { enrichTextFields } from '@utils/string-util';
 import ActorSheetConfig from './actor-sheet-config';
+import { exportCharacter } from '@components/character-transfer/character-transfer';
 
 /**
  * Blade Runner RPG Actor Sheet.
@@ -51,7 +52,7 @@ export default class BladeRunnerActorSheet extends ActorSheet {
       options: this.options,
       isGM: game.user.isGM,
       actor: baseData.actor,
-      system: foundry.utils.duplicate(baseData.actor.system),
+      system: foundry.utils.deepClone({ ...baseData.actor.system }),
       items: [...this.actor.items].sort((a, b) => (a.sort || 0) - (b.sort || 0)),
       showEffects,
       effects: showEffects ? [...this.actor.effects] : null,
@@ -159,6 +160,14 @@ export default class BladeRunnerActorSheet extends ActorSheet {
         onclick: () => this.actor.roll(),
       },
     ];
+    if (this.actor.type === ACTOR_TYPES.CHAR && this.actor.isOwner) {
+      myButtons.push({
+        label: game.i18n.localize('FLBR.CHARACTER_TRANSFER.Export'),
+        class: 'export-character',
+        icon: 'fas fa-file-export',
+        onclick: () => exportCharacter(this.actor),
+      });
+    }
     return myButtons.concat(originalButtons);
   }
 
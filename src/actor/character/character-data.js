@@ -0,0 +1,215 @@
+import { FLBR } from '@system/config';
+import { ACTOR_SUBTYPES, ATTRIBUTES, CAPACITIES, INVOCATION_STATES, KEY_INVOCATIONS, META_CURRENCIES,
+  NATURES } from '@system/constants';
+import BladeRunnerActorDataModel, { capacityField, coerceDieScore, dieScoreField } from '@actor/actor-data';
+
+/**
+ * Data model for the character actors (PCs & NPCs).
+ * @extends {BladeRunnerActorDataModel}
+ */
+export default class CharacterDataModel extends BladeRunnerActorDataModel {
+
+  /** @override */
+  static defineSchema() {
+    const fields = foundry.data.fields;
+
+    const attributes = {};
+    for (const attributeKey of Object.values(ATTRIBUTES)) {
+      // The maneuverability is only set when the character is crewed into a vehicle.
+      const initial = attributeKey === FLBR.vehicleAttribute ? 0 : FLBR.startingAttributeLevel;
+      attributes[attributeKey] = new fields.SchemaField({ value: dieScoreField(initial) });
+    }
+
+    const skills = {};
+    for (const skillKey of Object.keys(FLBR.skillMap)) {
+      skills[skillKey] = new fields.SchemaField({ value: dieScoreField(FLBR.startingSkillLevel) });
+    }
+
+    const metaCurrency = max => new fields.NumberField({
+      required: true, nullable: false, integer: true, min: 0, max, initial: 0,
+    });
+
+    return {
+      subtype: new fields.StringField({
+        required: true,
+        choices: Object.values(ACTOR_SUBTYPES),
+        initial: ACTOR_SUBTYPES.PC,
+      }),
+      attributes: new fields.SchemaField(attributes),
+      skills: new fields.SchemaField(skills),
+      nature: new fields.StringField({
+        required: true,
+        choices: Object.keys(FLBR.natures),
+        initial: NATURES.HUMAN,
+      }),
+      archetype: new fields.StringField({ required: true, initial: '' }),
+      bio: new fields.SchemaField({
+        keyMemory: new fields.HTMLField(),
+        keyRelationship: new fields.HTMLField(),
+        home: new fields.HTMLField(),
+        appearance: new fields.HTMLField(),
+        yearsOnTheForce: new fields.NumberField({
+          required: true, nullable: false, integer: true, min: 0, initial: 0,
+        }),
+      }),
+      [CAPACITIES.HEALTH]: capacityField(),
+      [CAPACITIES.RESOLVE]: capacityField(),
+      signatureItem: new fields.SchemaField({
+        name: new fields.StringField({ required: true, initial: '' }),
+        used: new fields.BooleanField(),
+      }),
+      metaCurrencies: new fields.SchemaField({
+        promotion: metaCurrency(FLBR.maxPromotionPoints),
+        humanity: metaCurrency(FLBR.maxHumanityPoints),
+        chinyen: metaCurrency(FLBR.maxChinyenPoints),
+      }),
+      ledger: new fields.ArrayField(new fields.SchemaField({
+        id: new fields.StringField({ required: true, blank: false }),
+        currency: new fields.StringField({ required: true, choices: Object.values(META_CURRENCIES) }),
+        amount: new fields.NumberField({ required: true, nullable: false, integer: true, initial: 0 }),
+        balance: new fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 0 }),
+        reason: new fields.StringField({ required: true, initial: '' }),
+        timestamp: new fields.NumberField({ required: true, nullable: false, integer: true, initial: 0 }),
+        user: new fields.StringField({ required: true, initial: '' }),
+        userName: new fields.StringField({ required: true, initial: '' }),
+        advancement: new fields.ObjectField({ required: false, nullable: true, initial: null }),
+        undone: new fields.BooleanField(),
+      })),
+      pushLog: new fields.ArrayField(new fields.SchemaField({
+        id: new fields.StringField({ required: true, blank: false }),
+        session: new fields.StringField({ required: true, initial: '' }),
+        timestamp: new fields.NumberField({ required: true, nullable: false, integer: true, initial: 0 }),
+        rollName: new fields.StringField({ required: true, initial: '' }),
+        attributeKey: new fields.StringField({ required: true, initial: '' }),
+        banes: new fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 0 }),
+        capacity: new fields.StringField({ required: true, initial: '' }),
+        damage: new fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 0 }),
+        remaining: new fields.NumberField({ required: false, nullable: true, integer: true, initial: null }),
+        helpers: new fields.ArrayField(new fields.StringField()),
+      })),
+      rollHistory: new fields.ArrayField(new fields.SchemaField({
+        id: new fields.StringField({ required: true, blank: false }),
+        session: new fields.StringField({ required: true, initial: '' }),
+        sessionNumber: new fields.NumberField({ required: true, nullable: false, integer: true, initial: 0 }),
+        timestamp: new fields.NumberField({ required: true, nullable: false, integer: true, initial: 0 }),
+        rollName: new fields.StringField({ required: true, initial: '' }),
+        attributeKey: new fields.StringField({ required: true, initial: '' }),
+        skillKey: new fields.StringField({ required: true, initial: '' }),
+        dice: new fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 0 }),
+        successes: new fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 0 }),
+        banes: new fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 0 }),
+        pushes: new fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 0 }),
+        trauma: new fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 0 }),
+        crit: new fields.BooleanField(),
+      })),
+      scars: new fields.ArrayField(new fields.SchemaField({
+        id: new fields.StringField({ required: true, blank: false }),
+        injuryId: new fields.StringField({ required: true, initial: '' }),
+        injury: new fields.StringField({ required: true, initial: '' }),
+        key: new fields.StringField({ required: true, blank: false }),
+        value: new fields.NumberField({ required: true, nullable: false, integer: true, min: 1, initial: 1 }),
+        timestamp: new fields.NumberField({ required: true, nullable: false, integer: true, initial: 0 }),
+      })),
+      invocations: new fields.ArrayField(new fields.SchemaField({
+        id: new fields.StringField({ required: true, blank: false }),
+        key: new fields.StringField({ required: true, choices: Object.values(KEY_INVOCATIONS) }),
+        session: new fields.StringField({ required: true, initial: '' }),
+        timestamp: new fields.NumberField({ required: true, nullable: false, integer: true, initial: 0 }),
+        amount: new fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 0 }),
+        state: new fields.StringField({
+          required: true, choices: Object.values(INVOCATION_STATES), initial: INVOCATION_STATES.PENDING,
+        }),
+        userName: new fields.StringField({ required: true, initial: '' }),
+      })),
+      baseline: new fields.SchemaField({
+        offBaseline: new fields.BooleanField(),
+        history: new fields.ArrayField(new fields.SchemaField({
+          id: new fields.StringField({ required: true, blank: false }),
+          timestamp: new fields.NumberField({ required: true, nullable: false, integer: true, initial: 0 }),
+          session: new fields.StringField({ required: true, initial: '' }),
+          success: new fields.BooleanField(),
+          successes: new fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 0 }),
+          resolveLost: new fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 0 }),
+          userName: new fields.StringField({ required: true, initial: '' }),
+        })),
+      }),
+      deathSave: new fields.SchemaField({
+        injuryId: new fields.StringField({ required: true, initial: '' }),
+        unit: new fields.StringField({ required: true, initial: '' }),
+        interval: new fields.NumberField({ required: true, nullable: false, integer: true, min: 1, initial: 1 }),
+        combatId: new fields.StringField({ required: true, initial: '' }),
+        nextAt: new fields.NumberField({ required: true, nullable: false, initial: 0 }),
+        saves: new fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 0 }),
+        pending: new fields.BooleanField(),
+      }),
+      description: new fields.HTMLField(),
+    };
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  static migrateData(source) {
+    // Coerces illegal die scores (e.g. a skill of 7) that were saved before the validation.
+    for (const group of ['attributes', 'skills']) {
+      for (const stat of Object.values(source[group] ?? {})) {
+        if (stat?.value != undefined) stat.value = coerceDieScore(stat.value);
+      }
+    }
+    return super.migrateData(source);
+  }
+
+  /* ------------------------------------------ */
+  /*  Data Preparation                          */
+  /* ------------------------------------------ */
+
+  /** @override */
+  prepareDerivedData() {
+    this._prepareCapacities();
+    this._prepareDrawSize();
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Sets the maxima for each capacities *(e.g. Health & Resolve)*
+   * based on the character's attributes, nature, permanent losses and scars.
+   * @see {import('@actor/actor-document').ActorCapacity}
+   * @private
+   */
+  _prepareCapacities() {
+    // Rolls over each legal capacity.
+    for (const cap of Object.values(CAPACITIES)) {
+      const capacity = this[cap];
+      const capData = FLBR.capacitiesMap[cap];
+      // Proceeds if it exists in the character.
+      if (capacity && capData) {
+        // Gets the nature modifier.
+        const natureModifier = FLBR.natureModifierMap[this.nature]?.[cap] ?? 0;
+        // Gets any permanent loss.
+        const permanentLoss = capacity.permanentLoss ?? 0;
+
+        let max = 0;
+        // Sums all specified attributes.
+        for (const attribute of capData.attributes) {
+          max += this.actor.getAttribute(attribute);
+        }
+
+        // Performs some maths.
+        max = Math.ceil(max / 4) + natureModifier + capacity.mod + permanentLoss;
+
+        // Adds the modifiers from items and scars.
+        max += this.actor.getRollModifiers({ targets: [cap] })
+          .reduce((tot, m) => tot + m.value, 0);
+
+        // Clamps within margins defined in the config.
+        max = Math.clamped(max, 0, capData.max);
+
+        // Records the value in the actor data.
+        capacity.max = max;
+        if (capacity.value > max) capacity.value = max;
+        capacity.ratio = max ? capacity.value / max : 0;
+      }
+    }
+  }
+}
@@ -1,5 +1,17 @@
+import { FLBR } from '@system/config';
 import BladeRunnerActorSheet from '@actor/actor-sheet';
-import { SYSTEM_ID, ACTOR_SUBTYPES, SETTINGS_KEYS } from '@system/constants';
+import AdvancementDialog, { undoAdvancement } from '@components/advancement/advancement';
+import { getSessionPushLog } from '@components/push-trauma/push-trauma';
+import RecoveryDialog from '@components/recovery/recovery';
+import { canTakeBaselineTest, takeBaselineTest } from '@components/baseline/baseline';
+import { getDeathSaveStatus, rollDeathSave, stopDeathSave,
+  treatDyingCharacter } from '@components/death-save/death-save';
+import { invokeSignatureItem } from '@components/signature-item/signature-item';
+import { canInvokeKey, getSessionInvocation, invokeKey } from '@components/key-invocation/key-invocation';
+import { getScarLabel, removeScar } from '@components/scars/scars';
+import { printDossier } from '@components/dossier/dossier';
+import RollStatisticsApp from '@components/roll-history/roll-history';
+import { SYSTEM_ID, ACTOR_SUBTYPES, KEY_INVOCATIONS, SETTINGS_KEYS } from '@system/constants';
 import { enrichTextFields } from '@utils/string-util';
 
 /**
@@ -50,8 +62,15 @@ export default class BladeRunnerCharacterSheet extends BladeRunnerActorSheet {
     sheetData.driving = this.actor.skills.driving?.value;
     sheetData.actions = game.bladerunner.actions.filter(a => a.actorType === this.actor.type);
     sheetData.editNature = game.settings.get(SYSTEM_ID, SETTINGS_KEYS.EDIT_NATURE_PERMISSION) || sheetData.isGM;
+    sheetData.deathSave = getDeathSaveStatus(this.actor);
+    sheetData.scars = this._getScars();
 
     if (this.actor.system.subtype === ACTOR_SUBTYPES.PC) {
+      sheetData.ledger = this._getLedger();
+      sheetData.pushLog = this._getPushLog();
+      sheetData.isReplicant = canTakeBaselineTest(this.actor);
+      if (sheetData.isReplicant) sheetData.baselineHistory = this._getBaselineHistory();
+      sheetData.invocations = this._getInvocations();
       await enrichTextFields(sheetData, [
         'system.bio.keyMemory',
         'system.bio.keyRelationship',
@@ -63,6 +82,122 @@ export default class BladeRunnerCharacterSheet extends BladeRunnerActorSheet {
     return sheetData;
   }
 
+  /* ------------------------------------------ */
+
+  /**
+   * Gets the ledger entries for display, the most recent first.
+   * @returns {Object[]}
+   * @private
+   */
+  _getLedger() {
+    return this.actor.system.ledger.map(entry => ({
+      ...entry,
+      currencyLabel: FLBR.metaCurrencies[entry.currency]?.label,
+      signedAmount: entry.amount.signedString(),
+      date: new Date(entry.timestamp).toLocaleString(game.i18n.lang),
+    })).reverse();
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Gets the scars left by permanent injuries for display.
+   * @returns {Object[]}
+   * @private
+   */
+  _getScars() {
+    return this.actor.system.scars.map(scar => ({
+      ...scar,
+      label: getScarLabel(scar),
+      date: new Date(scar.timestamp).toLocaleDateString(game.i18n.lang),
+    }));
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Gets the pushes of the current game session for display, the most recent first.
+   * @returns {Object[]}
+   * @private
+   */
+  _getPushLog() {
+    return getSessionPushLog(this.actor).map(push => ({
+      ...push,
+      attributeLabel: push.attributeKey ? `FLBR.ATTRIBUTE.${push.attributeKey.toUpperCase()}` : '',
+      capacityLabel: FLBR.capacitiesMap[push.capacity]?.label,
+      time: new Date(push.timestamp).toLocaleTimeString(game.i18n.lang),
+    })).reverse();
+  }
+
+  /**
+   * Gets the baseline tests taken by the replicant for display, the most recent first.
+   * @returns {Object[]}
+   * @private
+   */
+  _getBaselineHistory() {
+    return this.actor.system.baseline.history.map(result => ({
+      ...result,
+      date: new Date(result.timestamp).toLocaleString(game.i18n.lang),
+    })).reverse();
+  }
+
+  /**
+   * Gets the state of the invocations of the key memory and the key relationship this session.
+   * @returns {Object.<string, { canInvoke: boolean, state: string }>}
+   * @private
+   */
+  _getInvocations() {
+    return Object.fromEntries(Object.values(KEY_INVOCATIONS).map(key => [key, {
+      canInvoke: canInvokeKey(this.actor, key),
+      state: getSessionInvocation(this.actor, key)?.state,
+    }]));
+  }
+
+  /* ------------------------------------------ */
+  /*  Sheet Header Buttons                      */
+  /* ------------------------------------------ */
+
+  /** @override */
+  _getHeaderButtons() {
+    const buttons = super._getHeaderButtons();
+    if (!this.actor.isOwner) return buttons;
+    buttons.unshift({
+      label: game.i18n.localize('FLBR.DOSSIER.Dossier'),
+      class: 'print-dossier',
+      icon: 'fas fa-print',
+      onclick: () => printDossier(this),
+    });
+    buttons.unshift({
+      label: game.i18n.localize('FLBR.ROLL_HISTORY.Stats'),
+      class: 'roll-statistics',
+      icon: 'fas fa-chart-simple',
+      onclick: () => new RollStatisticsApp(this.actor).render(true),
+    });
+    const ownerButtons = [{
+      label: game.i18n.localize('FLBR.RECOVERY.Recover'),
+      class: 'recover',
+      icon: 'fas fa-bed',
+      onclick: () => new RecoveryDialog(this.actor).render(true),
+    }];
+    if (canTakeBaselineTest(this.actor)) {
+      ownerButtons.unshift({
+        label: game.i18n.localize('FLBR.BASELINE.Baseline'),
+        class: 'baseline-test',
+        icon: 'fas fa-eye',
+        onclick: () => takeBaselineTest(this.actor),
+      });
+    }
+    if (this.actor.system.subtype === ACTOR_SUBTYPES.PC) {
+      ownerButtons.unshift({
+        label: game.i18n.localize('FLBR.ADVANCEMENT.Advance'),
+        class: 'advance',
+        icon: 'fas fa-arrow-up',
+        onclick: () => new AdvancementDialog(this.actor).render(true),
+      });
+    }
+    return [...ownerButtons, ...buttons];
+  }
+
   /* ------------------------------------------ */
   /*  Sheet Listeners                           */
   /* ------------------------------------------ */
@@ -83,6 +218,21 @@ export default class BladeRunnerCharacterSheet extends BladeRunnerActorSheet {
     html.find('.meta-currencies .capacity-boxes').on('click contextmenu', super._onCapacityIncrease.bind(this));
     html.find('.capacity-resolve .capacity-boxes').on('contextmenu', this._onResolveDecrease.bind(this));
 
+    // Ledger
+    html.find('.ledger-undo').click(this._onLedgerUndo.bind(this));
+
+    // Death Saves
+    html.find('.death-save-control').click(this._onDeathSaveControl.bind(this));
+
+    // Scars
+    html.find('.scar-remove').click(this._onScarRemove.bind(this));
+
+    // Signature Item
+    html.find('.signature-item-invoke').click(this._onSignatureItemInvoke.bind(this));
+
+    // Key Memory & Relationship
+    html.find('.key-invoke').click(this._onKeyInvoke.bind(this));
+
     // Owner-only listeners.
     if (this.actor.isOwner) {
       html.find('.action-roll[data-action]').each((_index, elem) => {
@@ -104,6 +254,47 @@ export default class BladeRunnerCharacterSheet extends BladeRunnerActorSheet {
 
   /* ------------------------------------------ */
 
+  _onLedgerUndo(event) {
+    event.preventDefault();
+    const entryId = event.currentTarget.closest('.ledger-entry').dataset.entryId;
+    return undoAdvancement(this.actor, entryId);
+  }
+
+  /* ------------------------------------------ */
+
+  _onDeathSaveControl(event) {
+    event.preventDefault();
+    switch (event.currentTarget.dataset.action) {
+      case 'roll': return rollDeathSave(this.actor);
+      case 'treat': return treatDyingCharacter(this.actor);
+      case 'stop': return game.user.isGM ? stopDeathSave(this.actor) : null;
+    }
+  }
+
+  /* ------------------------------------------ */
+
+  _onScarRemove(event) {
+    event.preventDefault();
+    const scarId = event.currentTarget.closest('.scar').dataset.scarId;
+    return removeScar(this.actor, scarId);
+  }
+
+  /* ------------------------------------------ */
+
+  _onSignatureItemInvoke(event) {
+    event.preventDefault();
+    return invokeSignatureItem(this.actor);
+  }
+
+  /* ------------------------------------------ */
+
+  _onKeyInvoke(event) {
+    event.preventDefault();
+    return invokeKey(this.actor, event.currentTarget.dataset.key);
+  }
+
+  /* ------------------------------------------ */
+
   _onResolveDecrease(event) {
     event.preventDefault();
     if (this.actor.system.subtype !== ACTOR_SUBTYPES.PC) return;
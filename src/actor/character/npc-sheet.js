@@ -0,0 +1,142 @@
+import { FLBR } from '@system/config';
+import BladeRunnerActorSheet from '@actor/actor-sheet';
+import { ITEM_TYPES, SYSTEM_ID } from '@system/constants';
+
+/**
+ * Blade Runner RPG compact Actor Sheet for NPCs.
+ * Every stat, attack and armor is rolled in one click, without the roll dialog,
+ * so the GM can run several NPCs at once.
+ * @extends {BladeRunnerActorSheet} Extends the BR ActorSheet
+ */
+export default class BladeRunnerNpcSheet extends BladeRunnerActorSheet {
+
+  /* ------------------------------------------ */
+  /*  Sheet Properties                          */
+  /* ------------------------------------------ */
+
+  /** @override */
+  static get defaultOptions() {
+    const sysId = game.system.id || SYSTEM_ID;
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: [sysId, 'sheet', 'actor', 'npc'],
+      width: 400,
+      height: 'auto',
+      resizable: true,
+    });
+  }
+
+  /** @override */
+  get template() {
+    const sysId = game.system.id || SYSTEM_ID;
+    return `systems/${sysId}/templates/actor/character/npc-sheet.hbs`;
+  }
+
+  /* ------------------------------------------ */
+  /*  Sheet Data Preparation                    */
+  /* ------------------------------------------ */
+
+  /** @override */
+  async getData(options) {
+    const sheetData = await super.getData(options);
+    sheetData.attributes = this._getAttributes();
+    sheetData.skills = this._getNotableSkills();
+    sheetData.attacks = this._getAttacks();
+    sheetData.armors = this.actor.itemTypes[ITEM_TYPES.ARMOR].map(i => ({
+      id: i.id,
+      name: i.name,
+      armor: i.system.armor,
+    }));
+    return sheetData;
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Gets the attributes of the NPC, except the vehicle maneuverability.
+   * @returns {{ key: string, label: string, value: number }[]}
+   * @private
+   */
+  _getAttributes() {
+    return FLBR.attributes.map(key => ({
+      key,
+      label: `FLBR.ATTRIBUTE.${key.toUpperCase()}`,
+      value: this.actor.getAttribute(key),
+    }));
+  }
+
+  /**
+   * Gets the skills of the NPC that have a rating.
+   * @returns {{ key: string, attributeKey: string, label: string, value: number }[]}
+   * @private
+   */
+  _getNotableSkills() {
+    return Object.keys(this.actor.skills ?? {})
+      .filter(key => this.actor.getSkill(key) > 0)
+      .map(key => ({
+        key,
+        attributeKey: FLBR.skillMap[key] ?? FLBR.vehicleAttribute,
+        label: `FLBR.SKILL.${key.capitalize()}`,
+        value: this.actor.getSkill(key),
+      }));
+  }
+
+  /**
+   * Gets every attack of the weapons and explosives of the NPC.
+   * @returns {Object[]}
+   * @private
+   */
+  _getAttacks() {
+    return [...this.actor.itemTypes[ITEM_TYPES.WEAPON], ...this.actor.itemTypes[ITEM_TYPES.EXPLOSIVE]]
+      .filter(i => i.hasAttack)
+      .flatMap(i => i.attacks.map(({ id }) => {
+        const attack = i.system.attacks[id];
+        return {
+          itemId: i.id,
+          attackId: id,
+          name: i.attacks.length > 1 ? `${i.name} (${attack.name})` : i.name,
+          damage: attack.damage,
+          damageType: FLBR.damageTypes[attack.damageType],
+          crit: attack.crit,
+        };
+      }));
+  }
+
+  /* ------------------------------------------ */
+  /*  Sheet Listeners                           */
+  /* ------------------------------------------ */
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    // Editable-only Listeners
+    if (!game.user.isGM && this.actor.limited) return;
+    if (!this.isEditable) return;
+
+    // Quick Rolls
+    html.find('.stat-roll').click(this._onQuickStatRoll.bind(this));
+    html.find('.attack-roll').click(this._onQuickAttackRoll.bind(this));
+    html.find('.armor-roll').click(this._onQuickArmorRoll.bind(this));
+  }
+
+  /* ------------------------------------------ */
+
+  _onQuickStatRoll(event) {
+    event.preventDefault();
+    const { attribute, skill } = event.currentTarget.dataset;
+    return this.actor.rollStat(attribute, skill, { skipDialog: true });
+  }
+
+  _onQuickAttackRoll(event) {
+    event.preventDefault();
+    const { itemId, attackId } = event.currentTarget.dataset;
+    const item = this.actor.items.get(itemId);
+    // The first action of the weapon is used by default.
+    return item?.roll({ actionId: item.actions[0]?.id, attackId, skipDialog: true });
+  }
+
+  _onQuickArmorRoll(event) {
+    event.preventDefault();
+    return this.actor.items.get(event.currentTarget.dataset.itemId)?.roll({ skipDialog: true });
+  }
+}
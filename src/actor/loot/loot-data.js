@@ -0,0 +1,16 @@
+import BladeRunnerActorDataModel from '@actor/actor-data';
+
+/**
+ * Data model for the loot actors.
+ * @extends {BladeRunnerActorDataModel}
+ */
+export default class LootDataModel extends BladeRunnerActorDataModel {
+
+  /** @override */
+  static defineSchema() {
+    const fields = foundry.data.fields;
+    return {
+      description: new fields.HTMLField(),
+    };
+  }
+}
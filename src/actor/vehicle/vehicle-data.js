@@ -0,0 +1,95 @@
+import { FLBR } from '@system/config';
+import { AVAILABILITIES } from '@system/constants';
+import BladeRunnerActorDataModel, { coerceDieScore, dieScoreField } from '@actor/actor-data';
+import CrewCollection from '@components/vehicle-crew';
+
+/**
+ * Data model for the vehicle actors.
+ * @extends {BladeRunnerActorDataModel}
+ */
+export default class VehicleDataModel extends BladeRunnerActorDataModel {
+
+  /** @override */
+  static defineSchema() {
+    const fields = foundry.data.fields;
+    const integer = (initial, options = {}) => new fields.NumberField({
+      required: true, nullable: false, integer: true, initial, ...options,
+    });
+    return {
+      passengers: integer(1, { min: 0 }),
+      maneuverability: dieScoreField(12),
+      hull: new fields.SchemaField({
+        value: integer(2, { min: 0, max: FLBR.maxVehicleHull }),
+        max: integer(2, { min: 0, max: FLBR.maxVehicleHull }),
+      }),
+      armor: integer(0, { min: 0 }),
+      availability: integer(AVAILABILITIES.RARE),
+      cost: new fields.NumberField({ required: true, nullable: false, min: 0, initial: 5 }),
+      altitude: new fields.NumberField({ required: true, nullable: false, initial: 0 }),
+      components: new fields.SchemaField({
+        engine: new fields.BooleanField({ initial: true }),
+      }),
+      crew: new fields.ArrayField(new fields.SchemaField({
+        id: new fields.StringField({ required: true, blank: false }),
+      })),
+      description: new fields.HTMLField(),
+    };
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  static migrateData(source) {
+    if (source.maneuverability != undefined) {
+      source.maneuverability = coerceDieScore(source.maneuverability);
+    }
+    return super.migrateData(source);
+  }
+
+  /* ------------------------------------------ */
+  /*  Data Preparation                          */
+  /* ------------------------------------------ */
+
+  /** @override */
+  prepareDerivedData() {
+    this._prepareHull();
+    this._prepareCrew();
+    this._prepareDrawSize();
+  }
+
+  /* ------------------------------------------ */
+
+  /** @private */
+  _prepareHull() {
+    if (this.hull.value > this.hull.max) this.hull.value = this.hull.max;
+  }
+
+  /* ------------------------------------------ */
+
+  /** @private */
+  _prepareCrew() {
+    const vehicle = this.actor;
+
+    // Creates the crew collection if it does not exist yet.
+    if (!Object.hasOwn(vehicle, 'crew')) {
+      const c = new CrewCollection(
+        vehicle,
+        'system.crew',
+        'system.passengers',
+      );
+      Object.defineProperty(vehicle, 'crew', {
+        value: c,
+        writable: false,
+      });
+    }
+
+    // Cleanses the source array of old entries.
+    const updatedCrew = this.crew.filter(p => game.actors.has(p.id));
+    if (updatedCrew.length !== this.crew.length) {
+      vehicle.updateSource({ 'system.crew': updatedCrew });
+    }
+
+    // Updates the crew collection (builds actors).
+    vehicle.crew.update();
+  }
+}
@@ -26,14 +26,34 @@ import BRRollHandler from '@components/roll/roller';
 import { registerSheets } from '@system/sheets';
 import { initializeHandlebars } from '@system/handlebars';
 import { registerSystemSettings } from '@system/settings';
+import { registerDataModels } from '@system/data-models';
+import * as Migration from '@system/migration';
 import { enrichTextEditors } from '@system/enricher';
 import { registerDiceSoNice } from './plugins/dice-so-nice';
 import { overrideInlineRollListener } from '@components/roll/inline-roll';
 import { getManual } from '@utils/get-manual';
+import { getActiveActor } from '@utils/get-actor';
 import BladeRunnerActor from '@actor/actor-document';
 import BladeRunnerItem from '@item/item-document';
 import BladeRunnerDialog from '@components/dialog/dialog';
 import displayMessages from '@components/messaging-system';
+import IntegrityChecker from '@components/integrity/integrity-checker';
+import CharacterWizard from '@components/character-wizard/character-wizard';
+import NpcGenerator from '@components/npc-generator/npc-generator';
+import { addActorDirectoryButtons } from '@system/directory';
+import { addSceneControlButtons } from '@system/controls';
+import AwardPointsDialog from '@components/award-points/award-points';
+import { startNewSession } from '@system/session';
+import { endOfShift } from '@components/recovery/recovery';
+import { checkDeathSaves, onMedicalAid, onStabilizeMessage } from '@components/death-save/death-save';
+import BaselineDashboard, { takeBaselineTest } from '@components/baseline/baseline';
+import VoightKampffApp from '@components/voight-kampff/voight-kampff';
+import { resetSignatureItems } from '@components/signature-item/signature-item';
+import { onRollStatuses, registerStatusEffects, syncStatuses } from '@components/status-effects/status-effects';
+import { exportCharacter, importCharacter } from '@components/character-transfer/character-transfer';
+import PartyOverview from '@components/party-overview/party-overview';
+import { onPushTrauma, recordRoll } from '@components/roll-history/roll-history';
+import { checkOpposedRoll, rollOpposed } from '@components/opposed-roll/opposed-roll';
 
 /* ------------------------------------------ */
 /*  Foundry VTT Initialization                */
@@ -74,15 +94,36 @@ Hooks.once('init', async () => {
       rollDice: BRMacro.showRollDialog,
       rollItem: BRMacro.rollItem,
       rollStat: BRMacro.rollStat,
+      rollOpposed: async (attributeKey, skillKey, options) =>
+        rollOpposed(await getActiveActor(), attributeKey, skillKey, options),
       displayManual: async () => (await getManual()).sheet.render(true),
+      checkIntegrity: () => new IntegrityChecker().render(true),
+      createCharacter: () => new CharacterWizard().render(true),
+      generateNpcs: () => new NpcGenerator().render(true),
+      awardPoints: () => new AwardPointsDialog().render(true),
+      newSession: () => startNewSession(),
+      endOfShift,
+      baselineTest: async () => takeBaselineTest(await getActiveActor()),
+      baselineDashboard: () => new BaselineDashboard().render(true),
+      voightKampff: () => new VoightKampffApp().render(true),
+      exportCharacter: async () => exportCharacter(await getActiveActor()),
+      importCharacter,
+      partyOverview: () => new PartyOverview().render(true),
     },
     actions: new ActionCollection(FLBR.Actions.map(a => [a.id, a])),
+    migrations: {
+      migrateWorld: Migration.migrateWorld,
+      migrateCompendium: Migration.migrateCompendium,
+      migrateCompendiums: Migration.migrateCompendiums,
+    },
   };
 
   // Records configuration values.
   CONFIG.BLADE_RUNNER = FLBR;
   CONFIG.Actor.documentClass = BladeRunnerActor;
   CONFIG.Item.documentClass = BladeRunnerItem;
+  registerDataModels();
+  registerStatusEffects();
   // TODO Combat
   // CONFIG.Combat.documentClass = BladeRunnerCombat;
   // CONFIG.Combatant.documentClass = BladeRunnerCombatant;
@@ -118,8 +159,8 @@ Hooks.once('ready', () => {
   BRMacro.setupMacroFolder();
   Hooks.on('hotbarDrop', (_bar, data, slot) => BRMacro.createBladeRunnerMacro(data, slot));
 
-  // TODO Determines whether a system migration is required and feasible.
-  // checkMigration();
+  // Determines whether a system migration is required and feasible.
+  Migration.checkMigration();
 
   // Displays system messages.
   displayMessages();
@@ -145,20 +186,69 @@ Hooks.on('renderItemSheet', (app, _html) => {
   app._element[0].style.height = 'auto';
 });
 
+Hooks.on('renderActorDirectory', addActorDirectoryButtons);
+Hooks.on('getSceneControlButtons', addSceneControlButtons);
+
 // Hooks.on('renderActorSheet', (app, _html) => {
 //   app._element[0].style.height = 'auto';
 // });
 
+/* ------------------------------------------ */
+/*  Hooks for the death saves                 */
+/* ------------------------------------------ */
+
+Hooks.on('updateWorldTime', () => checkDeathSaves());
+Hooks.on('updateCombat', (_combat, changed) => {
+  if ('round' in changed) checkDeathSaves();
+});
+Hooks.on('bladeRunnerMedicalAid', onMedicalAid);
+Hooks.on('createChatMessage', message => onStabilizeMessage(message));
+
+/* ------------------------------------------ */
+/*  Hooks for the new sessions                */
+/* ------------------------------------------ */
+
+Hooks.on('bladeRunnerNewSession', () => resetSignatureItems());
+
+/* ------------------------------------------ */
+/*  Hooks for the status effects              */
+/* ------------------------------------------ */
+
+Hooks.on('bladeRunnerRoll', onRollStatuses);
+
+/* ------------------------------------------ */
+/*  Hooks for the roll history                */
+/* ------------------------------------------ */
+
+Hooks.on('bladeRunnerPushTrauma', onPushTrauma);
+Hooks.on('bladeRunnerRoll', recordRoll);
+
+/* ------------------------------------------ */
+/*  Hooks for the opposed rolls               */
+/* ------------------------------------------ */
+
+Hooks.on('createChatMessage', (message, _options, userId) => {
+  if (userId === game.user.id) checkOpposedRoll(message);
+});
+Hooks.on('updateChatMessage', (message, _updateData, _options, userId) => {
+  if (userId === game.user.id) checkOpposedRoll(message);
+});
+
 /* ------------------------------------------ */
 /*  Hooks for updating the vehicles' crew     */
 /* ------------------------------------------ */
 
-Hooks.on('updateActor', (actor, updateData, _options, _userId) => {
+Hooks.on('updateActor', (actor, updateData, _options, userId) => {
   const hasCapacityUpdate =
     foundry.utils.hasProperty(updateData, `system.${CAPACITIES.HEALTH}`) ||
     foundry.utils.hasProperty(updateData, `system.${CAPACITIES.RESOLVE}`) ||
     foundry.utils.hasProperty(updateData, 'system.hull');
 
+  // Applies or removes the Broken, Wrecked and Dying statuses.
+  if (userId === game.user.id && (hasCapacityUpdate || foundry.utils.hasProperty(updateData, 'system.deathSave'))) {
+    syncStatuses(actor);
+  }
+
   if (hasCapacityUpdate) {
     // Notifies if the actor is broken.
     if (actor.isBroken) {
@@ -203,13 +293,14 @@ Hooks.on('deleteActor', async actor => {
 Hooks.on('getChatLogEntryContext', Chat.addChatMessageContextOptions);
 
 Hooks.on('renderChatLog', (_app, html, _data) => Chat.addChatListeners(html));
-Hooks.on('renderChatMessage', (_msg, html, _data) => Chat.hideChatActionButtons(html));
+Hooks.on('renderChatMessage', (msg, html, _data) => Chat.hideChatActionButtons(msg, html));
 
 /* -------------------------------------------- */
 /*  Chat Commands                               */
 /* -------------------------------------------- */
 
-Hooks.on('chatMessage', async (_chatlog, content, _chatData) => {
+// ! The callback must not be async: a returned promise would not cancel the message.
+Hooks.on('chatMessage', (_chatlog, content, _chatData) => {
   const regex = /^\/([a-z]+)(?: (.+))?$/i;
   if (content.match(regex)) {
     const [, command, args] = regex.exec(content);
@@ -218,10 +309,14 @@ Hooks.on('chatMessage', async (_chatlog, content, _chatData) => {
       let table = game.tables.get(args);
       if (!table) table = game.tables.getName(args);
       if (table) {
-        await table.draw();
+        table.draw();
         return false;
       }
     }
+    else if (command === 'migrate') {
+      Migration.promptCompendiumsMigration(args?.trim());
+      return false;
+    }
     return true;
   }
 });
@@ -58,7 +58,7 @@ export class ActorAction {
     const attribute = this.attribute || FLBR.skillMap[this.skill];
     const title = `${actor.name}: ${this.label} (${game.i18n.localize(`FLBR.SKILL.${this.skill.capitalize()}`)})`;
 
-    return actor.rollStat(attribute, this.skill, { title });
+    return actor.rollStat(attribute, this.skill, { title, actionId: this.id });
   }
 
   /** @returns {ActorActionData} */
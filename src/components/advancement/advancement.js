@@ -0,0 +1,321 @@
+import { FLBR } from '@system/config';
+import { ADVANCEMENT_TYPES, ITEM_TYPES, SYSTEM_ID } from '@system/constants';
+import { getItemChoices } from '@utils/get-item-choices';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ * @typedef {import('@utils/get-item-choices').ItemChoice} ItemChoice
+ */
+
+/**
+ * @typedef {Object} Advancement
+ * @property {string}  type     The type of advancement (`skill` or `specialty`)
+ * @property {string} [key]     The skill raised
+ * @property {number} [from]    The skill score before the advancement
+ * @property {number} [to]      The skill score after the advancement
+ * @property {string} [uuid]    The UUID of the specialty bought
+ * @property {string} [itemId]  The ID of the specialty item created in the actor
+ * @property {string} [name]    The name of the specialty
+ */
+
+/**
+ * The die scores of the skills, from the lowest to the highest (none, D, C, B, A).
+ * @type {number[]}
+ */
+const SCORE_STEPS = Array.from(FLBR.scoreMap.values()).sort((a, b) => a - b);
+
+/* ------------------------------------------ */
+/*  Validation                                */
+/* ------------------------------------------ */
+
+/**
+ * Gets the next die score of a skill.
+ * @param {BladeRunnerActor} actor
+ * @param {string}           skillKey
+ * @returns {number|undefined} `undefined` if the skill is already at its maximum
+ */
+export function getNextSkillScore(actor, skillKey) {
+  const current = actor.getSkill(skillKey) || 0;
+  return SCORE_STEPS[SCORE_STEPS.indexOf(current) + 1];
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Checks whether an advancement can be bought.
+ * @param {BladeRunnerActor} actor
+ * @param {Advancement}      advancement
+ * @param {string}           currency     The meta-currency to spend
+ * @returns {string|null} The localized reason why it cannot, or `null` if it can
+ */
+export function validateAdvancement(actor, advancement, currency) {
+  const cost = FLBR.advancement.costs[advancement.type];
+  if (cost == undefined) return game.i18n.localize('FLBR.ADVANCEMENT.InvalidType');
+  if (!FLBR.advancement.currencies.includes(currency)) return game.i18n.localize('FLBR.ADVANCEMENT.InvalidCurrency');
+
+  const balance = actor.system.metaCurrencies?.[currency] ?? 0;
+  if (balance < cost) {
+    return game.i18n.format('FLBR.ADVANCEMENT.NotEnoughPoints', {
+      cost,
+      balance,
+      currency: game.i18n.localize(FLBR.metaCurrencies[currency].label),
+    });
+  }
+
+  switch (advancement.type) {
+    case ADVANCEMENT_TYPES.SKILL:
+      if (!(advancement.key in actor.skills)) return game.i18n.localize('FLBR.ADVANCEMENT.NoSkill');
+      if (!getNextSkillScore(actor, advancement.key)) return game.i18n.localize('FLBR.ADVANCEMENT.MaxSkill');
+      break;
+    case ADVANCEMENT_TYPES.SPECIALTY:
+      if (!advancement.uuid) return game.i18n.localize('FLBR.ADVANCEMENT.NoSpecialty');
+      if (actor.itemTypes[ITEM_TYPES.SPECIALTY].some(i => i.name === advancement.name)) {
+        return game.i18n.format('FLBR.ADVANCEMENT.SpecialtyOwned', { name: advancement.name });
+      }
+      break;
+  }
+  return null;
+}
+
+/* ------------------------------------------ */
+/*  Advancing                                 */
+/* ------------------------------------------ */
+
+/**
+ * Spends points to buy an advancement, which is recorded in the ledger.
+ * @param {BladeRunnerActor} actor
+ * @param {Advancement}      advancement
+ * @param {string}           currency     The meta-currency to spend
+ * @returns {Promise.<BladeRunnerActor|undefined>} `undefined` if the advancement is not valid
+ */
+export async function advance(actor, advancement, currency) {
+  const error = validateAdvancement(actor, advancement, currency);
+  if (error) {
+    ui.notifications.warn(error);
+    return;
+  }
+  const cost = FLBR.advancement.costs[advancement.type];
+  const updateData = {
+    [`system.metaCurrencies.${currency}`]: actor.system.metaCurrencies[currency] - cost,
+  };
+  /** @type {Advancement} */
+  let data;
+  let reason;
+
+  switch (advancement.type) {
+    case ADVANCEMENT_TYPES.SKILL: {
+      const from = actor.getSkill(advancement.key) || 0;
+      const to = getNextSkillScore(actor, advancement.key);
+      updateData[`system.skills.${advancement.key}.value`] = to;
+      data = { type: advancement.type, key: advancement.key, from, to };
+      reason = game.i18n.format('FLBR.ADVANCEMENT.SkillReason', {
+        skill: game.i18n.localize(`FLBR.SKILL.${advancement.key.capitalize()}`),
+        from: FLBR.dieMap.get(from),
+        to: FLBR.dieMap.get(to),
+      });
+      break;
+    }
+    case ADVANCEMENT_TYPES.SPECIALTY: {
+      const specialty = await fromUuid(advancement.uuid);
+      if (!specialty) {
+        ui.notifications.warn(game.i18n.localize('FLBR.ADVANCEMENT.NoSpecialty'));
+        return;
+      }
+      const [item] = await actor.createEmbeddedDocuments('Item', [game.items.fromCompendium(specialty)]);
+      data = { type: advancement.type, uuid: advancement.uuid, itemId: item.id, name: item.name };
+      reason = game.i18n.format('FLBR.ADVANCEMENT.SpecialtyReason', { name: item.name });
+      break;
+    }
+  }
+
+  let updated;
+  try {
+    updated = await actor.update(updateData, { ledgerReason: reason, ledgerAdvancement: data });
+  }
+  finally {
+    // The specialty is not free: it is removed if the points could not be spent.
+    if (!updated && data.itemId) await actor.deleteEmbeddedDocuments('Item', [data.itemId]);
+  }
+  if (!updated) return;
+  ui.notifications.info(`${actor.name}: ${reason}`);
+  return actor;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Undoes an advancement recorded in the ledger and refunds its points (GM only).
+ * @param {BladeRunnerActor} actor
+ * @param {string}           entryId  The ID of the ledger entry
+ * @returns {Promise.<BladeRunnerActor|undefined>} `undefined` if the advancement cannot be undone
+ */
+export async function undoAdvancement(actor, entryId) {
+  if (!game.user.isGM) return;
+  const entry = actor.system.ledger.find(e => e.id === entryId);
+  const advancement = entry?.advancement;
+  if (!advancement || entry.undone) return;
+
+  const ledger = foundry.utils.deepClone(actor._source.system.ledger);
+  ledger.find(e => e.id === entryId).undone = true;
+
+  const updateData = {
+    'system.ledger': ledger,
+    [`system.metaCurrencies.${entry.currency}`]: actor.system.metaCurrencies[entry.currency] - entry.amount,
+  };
+
+  switch (advancement.type) {
+    case ADVANCEMENT_TYPES.SKILL:
+      // The skill must not have been changed since.
+      if (actor.getSkill(advancement.key) !== advancement.to) {
+        ui.notifications.warn(game.i18n.localize('FLBR.ADVANCEMENT.UndoSkillChanged'));
+        return;
+      }
+      updateData[`system.skills.${advancement.key}.value`] = advancement.from;
+      break;
+    case ADVANCEMENT_TYPES.SPECIALTY:
+      if (actor.items.has(advancement.itemId)) {
+        await actor.deleteEmbeddedDocuments('Item', [advancement.itemId]);
+      }
+      break;
+  }
+
+  await actor.update(updateData, {
+    ledgerReason: game.i18n.format('FLBR.ADVANCEMENT.UndoReason', { reason: entry.reason }),
+  });
+  return actor;
+}
+
+/* ------------------------------------------ */
+/*  Advancement Dialog                        */
+/* ------------------------------------------ */
+
+/**
+ * An application for spending points to raise a skill or to buy a specialty.
+ * @extends {FormApplication}
+ */
+export default class AdvancementDialog extends FormApplication {
+  /**
+   * @param {BladeRunnerActor} actor
+   * @param {Object} [options]
+   */
+  constructor(actor, options = {}) {
+    super(actor, options);
+
+    /**
+     * The choices in the form.
+     * @type {{ type: string, skill: string, specialty: string, currency: string }}
+     */
+    this.choices = {
+      type: ADVANCEMENT_TYPES.SKILL,
+      skill: FLBR.skills[0],
+      specialty: '',
+      currency: FLBR.advancement.currencies[0],
+    };
+
+    /**
+     * The specialties available, cached on first use.
+     * @type {ItemChoice[]}
+     */
+    this.specialtyChoices = null;
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  static get defaultOptions() {
+    const sysId = game.system.id || SYSTEM_ID;
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${sysId}-advancement`,
+      template: `systems/${sysId}/templates/components/advancement/advancement-dialog.hbs`,
+      classes: [sysId, 'advancement-dialog'],
+      width: 400,
+      height: 'auto',
+      closeOnSubmit: false,
+      submitOnChange: true,
+    });
+  }
+
+  /** @override */
+  get id() {
+    return `${super.id}-${this.actor.id}`;
+  }
+
+  /** @override */
+  get title() {
+    return `${this.actor.name}: ${game.i18n.localize('FLBR.ADVANCEMENT.Title')}`;
+  }
+
+  /**
+   * The advancing actor.
+   * @type {BladeRunnerActor}
+   * @readonly
+   */
+  get actor() {
+    return this.object;
+  }
+
+  /**
+   * The advancement described by the current choices.
+   * @type {Advancement}
+   * @readonly
+   */
+  get advancement() {
+    if (this.choices.type === ADVANCEMENT_TYPES.SKILL) {
+      return { type: ADVANCEMENT_TYPES.SKILL, key: this.choices.skill };
+    }
+    const specialty = this.specialtyChoices?.find(s => s.uuid === this.choices.specialty);
+    return { type: ADVANCEMENT_TYPES.SPECIALTY, uuid: specialty?.uuid, name: specialty?.name };
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  async getData(options) {
+    if (this.choices.type === ADVANCEMENT_TYPES.SPECIALTY) {
+      this.specialtyChoices ??= await getItemChoices([ITEM_TYPES.SPECIALTY]);
+    }
+    const owned = this.actor.itemTypes[ITEM_TYPES.SPECIALTY].map(i => i.name);
+
+    const skills = {};
+    for (const skillKey of FLBR.skills) {
+      const current = FLBR.dieMap.get(this.actor.getSkill(skillKey) || 0);
+      const next = getNextSkillScore(this.actor, skillKey);
+      const skillName = game.i18n.localize(`FLBR.SKILL.${skillKey.capitalize()}`);
+      skills[skillKey] = next
+        ? `${skillName} (${current} → ${FLBR.dieMap.get(next)})`
+        : `${skillName} (${current})`;
+    }
+
+    const currencies = {};
+    for (const currency of FLBR.advancement.currencies) {
+      const label = game.i18n.localize(FLBR.metaCurrencies[currency].label);
+      currencies[currency] = `${label} (${this.actor.system.metaCurrencies[currency]})`;
+    }
+
+    return {
+      choices: this.choices,
+      types: Object.fromEntries(Object.values(ADVANCEMENT_TYPES).map(t => [t, `FLBR.ADVANCEMENT.TYPE.${t}`])),
+      isSkill: this.choices.type === ADVANCEMENT_TYPES.SKILL,
+      skills,
+      specialties: Object.fromEntries((this.specialtyChoices ?? [])
+        .filter(s => !owned.includes(s.name))
+        .map(s => [s.uuid, s.source ? `${s.name} (${s.source})` : s.name])),
+      currencies,
+      cost: FLBR.advancement.costs[this.choices.type],
+      error: validateAdvancement(this.actor, this.advancement, this.choices.currency),
+      options,
+    };
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  async _updateObject(event, formData) {
+    foundry.utils.mergeObject(this.choices, formData);
+    if (event.type === 'submit') {
+      const actor = await advance(this.actor, this.advancement, this.choices.currency);
+      if (actor) this.choices.specialty = '';
+    }
+    this.render();
+  }
+}
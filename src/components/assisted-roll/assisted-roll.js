@@ -0,0 +1,224 @@
+import { FLBR } from '@system/config';
+import { ACTOR_TYPES, SYSTEM_ID } from '@system/constants';
+import { chooseActor, getActiveActor } from '@utils/get-actor';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ * @typedef {import('@components/roll/roller').default} BRRollHandler
+ */
+
+/**
+ * A character helping another one with a roll, stored in the `helpers` option of the roll.
+ * @typedef {Object} RollHelper
+ * @property {string} name     The name of the helper
+ * @property {Object} speaker  The speaker data of the helper
+ */
+
+/**
+ * A request for help posted in the chat, stored in the `bladerunner.helpRequest` flag of its message.
+ * @typedef {Object} HelpRequest
+ * @property {string}  id        The identifier of the request
+ * @property {string}  name      The name of the actor asking for help
+ * @property {string}  rollName  The name of the roll
+ * @property {boolean} closed    Whether the roll was made (or cancelled)
+ */
+
+/* ------------------------------------------ */
+/*  Helper Methods                            */
+/* ------------------------------------------ */
+
+/**
+ * Creates the helper data of an actor.
+ * @param {BladeRunnerActor} actor
+ * @returns {RollHelper}
+ */
+export function getRollHelper(actor) {
+  return {
+    name: actor.name,
+    speaker: ChatMessage.getSpeaker({ actor, token: actor.token }),
+  };
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Whether two helpers (or a helper and the roller) are the same character.
+ * @param {Object} a  Speaker data
+ * @param {Object} b  Speaker data
+ * @returns {boolean}
+ */
+function isSameSpeaker(a, b) {
+  return a.actor === b.actor && (a.token ?? null) === (b.token ?? null);
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Whether a character can still help with a roll: it is not the roller, it does not help already,
+ * and the dice pool is not full.
+ * @param {BRRollHandler} roller
+ * @param {RollHelper}    helper
+ * @returns {boolean}
+ */
+export function canHelpRoll(roller, helper) {
+  if (!helper || isSameSpeaker(helper.speaker, roller.createSpeaker())) return false;
+  if (roller.helpers.some(h => isSameSpeaker(h.speaker, helper.speaker))) return false;
+  return roller.dice.length + roller.helpers.length < FLBR.maxRolledDice;
+}
+
+/* ------------------------------------------ */
+/*  Help Requests                             */
+/* ------------------------------------------ */
+
+/**
+ * Renders the chat card of a help request.
+ * @param {HelpRequest} request
+ * @returns {Promise.<string>}
+ */
+function renderHelpRequestCard(request) {
+  const template = `systems/${SYSTEM_ID}/templates/components/assisted-roll/help-request-chatcard.hbs`;
+  return renderTemplate(template, { request, config: CONFIG.BLADE_RUNNER });
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Posts a chat card asking the other players to help with the roll of an open roll dialog.
+ * @param {BRRollHandler} roller
+ * @returns {Promise.<ChatMessage|undefined>}
+ */
+export async function requestHelp(roller) {
+  if (!roller.actor?.id || roller.helpRequest) return;
+
+  /** @type {HelpRequest} */
+  const request = {
+    id: foundry.utils.randomID(),
+    name: roller.actor.name,
+    rollName: roller.getRollOptions().name,
+    closed: false,
+  };
+  const message = await ChatMessage.create({
+    content: await renderHelpRequestCard(request),
+    speaker: roller.createSpeaker(),
+    flags: { bladerunner: { helpRequest: request } },
+  });
+  roller.helpRequest = { id: request.id, messageId: message.id };
+  return message;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Closes a help request, so that no one can answer it anymore.
+ * @param {string} messageId  The ID of the message of the request
+ * @returns {Promise.<ChatMessage|undefined>}
+ */
+export async function closeHelpRequest(messageId) {
+  const message = game.messages.get(messageId);
+  const request = message?.getFlag('bladerunner', 'helpRequest');
+  if (!request || request.closed || !message.isOwner) return;
+
+  request.closed = true;
+  return message.update({
+    content: await renderHelpRequestCard(request),
+    'flags.bladerunner.helpRequest.closed': true,
+  });
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Whether the current user can answer the help request of a chat message.
+ * @param {ChatMessage} message
+ * @returns {boolean}
+ */
+export function canOfferHelp(message) {
+  const request = message?.getFlag('bladerunner', 'helpRequest');
+  return !!request && !request.closed && !message.isAuthor;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Offers the help of the active actor to the help request of a chat message.
+ * The roll dialog waiting for the help picks up the offer from the chat.
+ * @param {ChatMessage} message  The message of the help request
+ * @returns {Promise.<ChatMessage|undefined>}
+ */
+export async function offerHelp(message) {
+  if (!canOfferHelp(message)) {
+    ui.notifications.warn('FLBR.ASSISTED_ROLL.RequestClosed', { localize: true });
+    return;
+  }
+  const request = message.getFlag('bladerunner', 'helpRequest');
+  const actor = await getActiveActor();
+  if (!actor) return;
+
+  const helper = getRollHelper(actor);
+  return ChatMessage.create({
+    content: `<p>${game.i18n.format('FLBR.ASSISTED_ROLL.Helps', {
+      name: helper.name,
+      target: request.name,
+      roll: request.rollName,
+    })}</p>`,
+    speaker: helper.speaker,
+    flags: { bladerunner: { helpOffer: { requestId: request.id, helper } } },
+  });
+}
+
+/* ------------------------------------------ */
+/*  Roll Dialog                               */
+/* ------------------------------------------ */
+
+/**
+ * Adds a helper to the roll of an open roll dialog.
+ * @param {BRRollHandler} roller
+ * @param {RollHelper}    helper
+ * @returns {RollHelper|undefined} The added helper, if any
+ */
+export function addRollHelper(roller, helper) {
+  if (!canHelpRoll(roller, helper)) {
+    ui.notifications.warn(game.i18n.format('FLBR.ASSISTED_ROLL.CannotHelp', { name: helper.name }));
+    return;
+  }
+  roller.helpers.push(helper);
+  return helper;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Asks the user which character helps with the roll of an open roll dialog
+ * (for helpers controlled by the same user, e.g. the GM's NPCs).
+ * @param {BRRollHandler} roller
+ * @returns {Promise.<RollHelper|undefined>}
+ */
+export async function chooseRollHelper(roller) {
+  const actors = game.actors.filter(a => a.type === ACTOR_TYPES.CHAR
+    && a.isOwner
+    && canHelpRoll(roller, getRollHelper(a)));
+  if (!actors.length) {
+    ui.notifications.warn('FLBR.ASSISTED_ROLL.NoHelper', { localize: true });
+    return;
+  }
+  const actor = await chooseActor(actors, {
+    title: game.i18n.localize('FLBR.ASSISTED_ROLL.Help'),
+    notes: game.i18n.localize('FLBR.ASSISTED_ROLL.ChooseHelper'),
+  });
+  if (!actor) return;
+  return addRollHelper(roller, getRollHelper(actor));
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Adds the helper of a help offer posted in the chat to the roll dialog waiting for it.
+ * @param {BRRollHandler} roller
+ * @param {ChatMessage}   message  The message of the help offer
+ * @returns {RollHelper|undefined} The added helper, if any
+ */
+export function onHelpOffer(roller, message) {
+  const offer = message.getFlag('bladerunner', 'helpOffer');
+  if (!offer || offer.requestId !== roller.helpRequest?.id) return;
+  return addRollHelper(roller, offer.helper);
+}
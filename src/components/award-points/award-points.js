@@ -0,0 +1,100 @@
+import { FLBR } from '@system/config';
+import { ACTOR_SUBTYPES, ACTOR_TYPES, SYSTEM_ID } from '@system/constants';
+
+/**
+ * Gets the player characters of the party (PCs owned by a player).
+ * @returns {import('@actor/actor-document').default[]}
+ */
+export function getPartyCharacters() {
+  return game.actors.filter(a => a.type === ACTOR_TYPES.CHAR
+    && a.system.subtype === ACTOR_SUBTYPES.PC
+    && a.hasPlayerOwner);
+}
+
+/* ------------------------------------------ */
+/*  Award Points Dialog                       */
+/* ------------------------------------------ */
+
+/**
+ * A GM application for awarding meta-currency points to the whole party at once.
+ * Each award is recorded in the characters' ledgers and reported in the chat.
+ * @extends {FormApplication}
+ */
+export default class AwardPointsDialog extends FormApplication {
+
+  /** @override */
+  static get defaultOptions() {
+    const sysId = game.system.id || SYSTEM_ID;
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${sysId}-award-points`,
+      title: game.i18n.localize('FLBR.AWARD_POINTS.Title'),
+      template: `systems/${sysId}/templates/components/award-points/award-points.hbs`,
+      classes: [sysId, 'award-points'],
+      width: 400,
+      height: 'auto',
+      closeOnSubmit: true,
+    });
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  getData(options) {
+    return {
+      actors: getPartyCharacters().map(a => ({ id: a.id, name: a.name, img: a.img })),
+      currencies: FLBR.metaCurrencies,
+      options,
+    };
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  async _updateObject(_event, formData) {
+    const data = foundry.utils.expandObject(formData);
+    const actors = Object.entries(data.actors ?? {})
+      .filter(([, checked]) => checked)
+      .map(([id]) => game.actors.get(id))
+      .filter(a => a);
+    const changes = Object.fromEntries(Object.entries(data.points ?? {})
+      .map(([k, v]) => [k, Number(v) || 0])
+      .filter(([, v]) => v));
+
+    if (!actors.length || foundry.utils.isEmpty(changes)) {
+      ui.notifications.warn('FLBR.AWARD_POINTS.NothingToAward', { localize: true });
+      return;
+    }
+    return this.constructor.award(actors, changes, data.reason);
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Awards points to several characters and posts a summary in the chat.
+   * @param {import('@actor/actor-document').default[]} actors
+   * @param {Object.<string, number>} changes  The points to add to each meta-currency
+   * @param {string} [reason]
+   * @returns {Promise.<ChatMessage>}
+   */
+  static async award(actors, changes, reason) {
+    reason ||= game.i18n.localize('FLBR.AWARD_POINTS.DefaultReason');
+    for (const actor of actors) {
+      await actor.modifyMetaCurrencies(changes, { reason });
+    }
+
+    const template = `systems/${SYSTEM_ID}/templates/components/award-points/award-points-chatcard.hbs`;
+    const content = await renderTemplate(template, {
+      actors: actors.map(a => a.name),
+      points: Object.entries(changes).map(([currency, amount]) => ({
+        label: FLBR.metaCurrencies[currency].label,
+        amount: amount.signedString(),
+      })),
+      reason,
+    });
+    return ChatMessage.create({
+      content,
+      speaker: { alias: game.i18n.localize('FLBR.AWARD_POINTS.Title') },
+      user: game.user.id,
+    });
+  }
+}
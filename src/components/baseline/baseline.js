@@ -0,0 +1,263 @@
+import { FLBR } from '@system/config';
+import { ACTOR_SUBTYPES, ACTOR_TYPES, CAPACITIES, NATURES, SYSTEM_ID } from '@system/constants';
+import BRRollHandler from '@components/roll/roller';
+import Modifier from '@components/item-modifier';
+import { getCurrentSession } from '@system/session';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ */
+
+/**
+ * @typedef {Object} BaselineResult
+ * @property {string}  id           The ID of the entry in the history
+ * @property {number}  timestamp    When the test was taken
+ * @property {string}  session      The ID of the game session during which the test was taken
+ * @property {boolean} success      Whether the replicant passed the test
+ * @property {number}  successes    The number of successes rolled
+ * @property {number}  resolveLost  The resolve lost because of a failure
+ * @property {string}  userName     The name of the user who rolled the test
+ */
+
+/* ------------------------------------------ */
+/*  Helper Methods                            */
+/* ------------------------------------------ */
+
+/**
+ * Whether a character is a replicant PC who can be sent for a baseline test.
+ * @param {BladeRunnerActor} actor
+ * @returns {boolean}
+ */
+export function canTakeBaselineTest(actor) {
+  return actor?.type === ACTOR_TYPES.CHAR
+    && actor.system.subtype === ACTOR_SUBTYPES.PC
+    && actor.system.nature === NATURES.REPLICANT;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Gets the last baseline test taken by a replicant.
+ * @param {BladeRunnerActor} actor
+ * @returns {BaselineResult|undefined}
+ */
+export function getLastBaseline(actor) {
+  return actor.system.baseline?.history.at(-1);
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Gets the situational modifiers of a baseline test.
+ * @param {BladeRunnerActor} actor
+ * @returns {Modifier[]}
+ */
+export function getBaselineModifiers(actor) {
+  const resolve = actor.system[CAPACITIES.RESOLVE];
+  return [
+    new Modifier('baseline.offBaseline', FLBR.baseline.modifiers.offBaseline, {}, {
+      active: actor.system.baseline.offBaseline,
+      name: game.i18n.localize('FLBR.BASELINE.OffBaseline'),
+    }),
+    new Modifier('baseline.stressed', FLBR.baseline.modifiers.stressed, {}, {
+      active: resolve.ratio <= 0.5,
+      name: game.i18n.localize('FLBR.BASELINE.Stressed'),
+    }),
+  ];
+}
+
+/* ------------------------------------------ */
+/*  Baseline Test                             */
+/* ------------------------------------------ */
+
+/**
+ * Sends a replicant for a baseline test.
+ * A failure costs resolve and flags the replicant as off baseline,
+ * a success clears the flag. The result is recorded in the actor's baseline history.
+ * @param {BladeRunnerActor} actor
+ * @returns {Promise.<BaselineResult|undefined>} `undefined` if the test was not taken
+ */
+export async function takeBaselineTest(actor) {
+  if (!canTakeBaselineTest(actor)) {
+    ui.notifications.warn(game.i18n.format('FLBR.BASELINE.NotReplicant', { name: actor?.name }));
+    return;
+  }
+
+  const skillKey = FLBR.baselineTest;
+  const attributeKey = FLBR.skillMap[skillKey];
+  const targets = [attributeKey, skillKey];
+
+  let roll;
+  try {
+    roll = await BRRollHandler.waitForRoll({
+      title: `${actor.name}: ${game.i18n.localize('FLBR.BASELINE.Title')}`,
+      actor,
+      attributeKey,
+      skillKey,
+      dice: [actor.getAttribute(attributeKey), actor.getSkill(skillKey)].filter(Boolean),
+      modifiers: [...actor.getRollModifiers({ targets }), ...getBaselineModifiers(actor)],
+      maxPush: 0,
+    }, {
+      disabledPush: true,
+    });
+  }
+  catch (err) {
+    // The dialog was closed without rolling.
+    return;
+  }
+
+  const success = roll.successCount > 0;
+  const resolve = actor.system[CAPACITIES.RESOLVE];
+  const resolveLost = success ? 0 : Math.min(FLBR.baseline.resolveLoss, resolve.value);
+
+  /** @type {BaselineResult} */
+  const result = {
+    id: foundry.utils.randomID(),
+    timestamp: Date.now(),
+    session: getCurrentSession().id,
+    success,
+    successes: roll.successCount,
+    resolveLost,
+    userName: game.user.name,
+  };
+
+  await actor.update({
+    'system.baseline.offBaseline': !success,
+    'system.baseline.history': [...actor._source.system.baseline.history, result],
+    [`system.${CAPACITIES.RESOLVE}.value`]: resolve.value - resolveLost,
+  });
+  await createBaselineMessage(actor, result);
+
+  Hooks.callAll('bladeRunnerBaselineTest', actor, result);
+  return result;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Posts a chat card with the result of a baseline test.
+ * @param {BladeRunnerActor} actor
+ * @param {BaselineResult}   result
+ * @returns {Promise.<ChatMessage>}
+ */
+async function createBaselineMessage(actor, result) {
+  const template = `systems/${SYSTEM_ID}/templates/components/baseline/baseline-chatcard.hbs`;
+  const content = await renderTemplate(template, {
+    name: actor.name,
+    result,
+    broken: actor.isBroken,
+    config: CONFIG.BLADE_RUNNER,
+  });
+  return ChatMessage.create({
+    content,
+    speaker: ChatMessage.getSpeaker({ actor, token: actor.token }),
+  });
+}
+
+/* ------------------------------------------ */
+/*  Baseline Dashboard                        */
+/* ------------------------------------------ */
+
+/**
+ * A GM application listing the last baseline status of each replicant PC.
+ * @extends {Application}
+ */
+export default class BaselineDashboard extends Application {
+  constructor(options = {}) {
+    super(options);
+
+    /**
+     * The ID of the hook refreshing the dashboard when an actor is updated.
+     * @type {number}
+     * @private
+     */
+    this._hookId = null;
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  static get defaultOptions() {
+    const sysId = game.system.id || SYSTEM_ID;
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${sysId}-baseline-dashboard`,
+      title: game.i18n.localize('FLBR.BASELINE.Dashboard'),
+      template: `systems/${sysId}/templates/components/baseline/baseline-dashboard.hbs`,
+      classes: [sysId, 'baseline-dashboard'],
+      width: 520,
+      height: 'auto',
+      resizable: true,
+    });
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  getData(options) {
+    const replicants = game.actors.filter(a => canTakeBaselineTest(a)).map(a => {
+      const last = getLastBaseline(a);
+      return {
+        id: a.id,
+        name: a.name,
+        img: a.img,
+        offBaseline: a.system.baseline.offBaseline,
+        tests: a.system.baseline.history.length,
+        failures: a.system.baseline.history.filter(r => !r.success).length,
+        last,
+        date: last ? new Date(last.timestamp).toLocaleString(game.i18n.lang) : null,
+      };
+    });
+    return { replicants, options };
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  render(force, options) {
+    // The dashboard is reserved to the GM.
+    if (!game.user.isGM) return this;
+    return super.render(force, options);
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  async _render(force, options) {
+    this._hookId ??= Hooks.on('updateActor', actor => {
+      if (canTakeBaselineTest(actor)) this.render();
+    });
+    return super._render(force, options);
+  }
+
+  /** @override */
+  async close(options) {
+    Hooks.off('updateActor', this._hookId);
+    this._hookId = null;
+    return super.close(options);
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('[data-action]').click(this._onAction.bind(this));
+  }
+
+  /**
+   * @param {MouseEvent} event
+   * @private
+   */
+  async _onAction(event) {
+    event.preventDefault();
+    const actorId = event.currentTarget.closest('[data-actor-id]').dataset.actorId;
+    const actor = game.actors.get(actorId);
+    if (!actor) return;
+
+    switch (event.currentTarget.dataset.action) {
+      case 'test': return takeBaselineTest(actor);
+      case 'toggle': return actor.update({ 'system.baseline.offBaseline': !actor.system.baseline.offBaseline });
+      case 'open': return actor.sheet.render(true);
+    }
+  }
+}
@@ -0,0 +1,244 @@
+import { ACTOR_TYPES, ITEM_TYPES, SYSTEM_ID } from '@system/constants';
+import { getPendingMigrations, migrateActorData } from '@system/migration';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ */
+
+/**
+ * A portable Blade Runner character (`.brchar.json` file).
+ * Only the character and its embedded documents are exported:
+ * references to other documents (folders, ownership, vehicles' crew) are left behind.
+ * @typedef {Object} PortableCharacter
+ * @property {string} format         Always `brchar`
+ * @property {number} formatVersion  The version of the format (see `BRCHAR_FORMAT_VERSION`)
+ * @property {string} systemVersion  The version of the system that exported the character
+ * @property {string} exportedAt     The date of the export (ISO string)
+ * @property {string} portrait       The path of the portrait of the character
+ * @property {Object} actor          The source data of the character, with its items, effects and ledger
+ */
+
+/**
+ * The identifier of the format.
+ * @type {string}
+ */
+const BRCHAR_FORMAT = 'brchar';
+
+/**
+ * The current version of the `.brchar.json` format.
+ * ! Increase it when the structure of `PortableCharacter` changes, and migrate the older versions on import.
+ * @type {number}
+ */
+export const BRCHAR_FORMAT_VERSION = 1;
+
+/**
+ * The extension of the exported files.
+ * @type {string}
+ */
+const BRCHAR_EXTENSION = '.brchar.json';
+
+/* ------------------------------------------ */
+/*  Export                                    */
+/* ------------------------------------------ */
+
+/**
+ * Builds the portable data of a character.
+ * @param {BladeRunnerActor} actor
+ * @returns {PortableCharacter}
+ */
+export function getPortableCharacter(actor) {
+  const source = actor.toObject();
+  const systemFlags = {};
+  for (const scope of ['bladerunner', SYSTEM_ID]) {
+    if (source.flags?.[scope]) systemFlags[scope] = source.flags[scope];
+  }
+  return {
+    format: BRCHAR_FORMAT,
+    formatVersion: BRCHAR_FORMAT_VERSION,
+    systemVersion: game.system.version,
+    exportedAt: new Date().toISOString(),
+    portrait: source.img,
+    actor: {
+      name: source.name,
+      type: source.type,
+      img: source.img,
+      system: source.system,
+      prototypeToken: source.prototypeToken,
+      items: source.items,
+      effects: source.effects,
+      flags: systemFlags,
+    },
+  };
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Exports a character to a `.brchar.json` file.
+ * @param {BladeRunnerActor} actor
+ */
+export function exportCharacter(actor) {
+  if (actor?.type !== ACTOR_TYPES.CHAR) return;
+  const data = getPortableCharacter(actor);
+  saveDataToFile(JSON.stringify(data, null, 2), 'text/json', `${actor.name.slugify()}${BRCHAR_EXTENSION}`);
+}
+
+/* ------------------------------------------ */
+/*  Validation & Migration                    */
+/* ------------------------------------------ */
+
+/**
+ * Validates the structure of portable character data.
+ * @param {PortableCharacter} data
+ * @returns {string[]} The localized errors (empty if the data is valid)
+ */
+export function validatePortableCharacter(data) {
+  const errors = [];
+  const error = (str, d) => errors.push(game.i18n.format(`FLBR.CHARACTER_TRANSFER.Error.${str}`, d));
+
+  if (data?.format !== BRCHAR_FORMAT) {
+    error('Format');
+    return errors;
+  }
+  if (!Number.isInteger(data.formatVersion) || data.formatVersion < 1) error('FormatVersion');
+  else if (data.formatVersion > BRCHAR_FORMAT_VERSION) error('NewerFormat', { version: data.formatVersion });
+
+  const actor = data.actor;
+  if (foundry.utils.getType(actor) !== 'Object') {
+    error('NoActor');
+    return errors;
+  }
+  if (typeof actor.name !== 'string' || !actor.name) error('NoName');
+  if (actor.type !== ACTOR_TYPES.CHAR) error('ActorType', { type: actor.type });
+  if (foundry.utils.getType(actor.system) !== 'Object') error('NoSystem');
+
+  for (const key of ['items', 'effects']) {
+    if (actor[key] != undefined && !Array.isArray(actor[key])) error('NotArray', { key });
+  }
+  const itemTypes = Object.values(ITEM_TYPES);
+  for (const item of actor.items ?? []) {
+    if (!itemTypes.includes(item?.type)) error('ItemType', { name: item?.name, type: item?.type });
+  }
+  return errors;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Validates the (migrated) source data of a character against the data models of the system:
+ * the actor and its system data, its items and its effects must all be valid.
+ * @param {Object} source  The source data of the actor
+ * @returns {string[]} The localized errors (empty if the data is valid)
+ */
+export function validateCharacterSource(source) {
+  try {
+    Actor.implementation.fromSource(foundry.utils.deepClone(source), { strict: true });
+    return [];
+  }
+  catch (err) {
+    const failures = Object.keys(err.getAllFailures?.() ?? {});
+    return [game.i18n.format('FLBR.CHARACTER_TRANSFER.Error.Schema', {
+      fields: failures.length ? failures.join(', ') : err.message,
+    })];
+  }
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Migrates portable character data to the current format and system versions.
+ * @param {PortableCharacter} data
+ * @returns {Object} The migrated source data of the actor
+ */
+export function migratePortableCharacter(data) {
+  const source = foundry.utils.deepClone(data.actor);
+  source.img = data.portrait || source.img;
+  source.items ??= [];
+  source.effects ??= [];
+
+  // Items need an ID to be matched with their migration data.
+  for (const item of source.items) item._id ??= foundry.utils.randomID();
+
+  const steps = getPendingMigrations(data.systemVersion);
+  if (!steps.length) return source;
+
+  const { items: itemUpdates = [], ...actorUpdate } = migrateActorData(source, steps);
+  foundry.utils.mergeObject(source, actorUpdate, { performDeletions: true });
+  for (const itemUpdate of itemUpdates) {
+    const item = source.items.find(i => i._id === itemUpdate._id);
+    if (item) foundry.utils.mergeObject(item, itemUpdate, { performDeletions: true });
+  }
+  return source;
+}
+
+/* ------------------------------------------ */
+/*  Import                                    */
+/* ------------------------------------------ */
+
+/**
+ * Creates a character from portable character data.
+ * @param {PortableCharacter} data
+ * @returns {Promise.<BladeRunnerActor|undefined>} `undefined` if the data is invalid
+ */
+export async function importPortableCharacter(data) {
+  const errors = validatePortableCharacter(data);
+  if (errors.length) {
+    ui.notifications.error(`${game.i18n.localize('FLBR.CHARACTER_TRANSFER.Invalid')} ${errors.join(' ')}`);
+    return;
+  }
+
+  const source = migratePortableCharacter(data);
+  const schemaErrors = validateCharacterSource(source);
+  if (schemaErrors.length) {
+    ui.notifications.error(`${game.i18n.localize('FLBR.CHARACTER_TRANSFER.Invalid')} ${schemaErrors.join(' ')}`);
+    return;
+  }
+  try {
+    // Embedded IDs are kept: scars and specialty effects refer to the items.
+    const actor = await Actor.implementation.create(source, { renderSheet: true });
+    ui.notifications.info(game.i18n.format('FLBR.CHARACTER_TRANSFER.Imported', { name: actor.name }));
+    return actor;
+  }
+  catch (err) {
+    console.error(err);
+    ui.notifications.error(`${game.i18n.localize('FLBR.CHARACTER_TRANSFER.Invalid')} ${err.message}`);
+  }
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Asks for a `.brchar.json` file and imports the character it contains.
+ * @returns {Promise.<BladeRunnerActor|undefined>}
+ */
+export async function importCharacter() {
+  if (!game.user.can('ACTOR_CREATE')) {
+    ui.notifications.warn('FLBR.CHARACTER_TRANSFER.NoPermission', { localize: true });
+    return;
+  }
+
+  const file = await Dialog.prompt({
+    title: game.i18n.localize('FLBR.CHARACTER_TRANSFER.Import'),
+    content: `<form autocomplete="off">
+      <p class="notes">${game.i18n.localize('FLBR.CHARACTER_TRANSFER.ImportHint')}</p>
+      <div class="form-group">
+        <input type="file" name="data" accept="${BRCHAR_EXTENSION},.json"/>
+      </div>
+    </form>`,
+    label: game.i18n.localize('FLBR.CHARACTER_TRANSFER.Import'),
+    callback: html => html[0].querySelector('input[type=file]').files[0],
+    rejectClose: false,
+    options: { classes: [SYSTEM_ID, 'dialog', 'character-transfer'] },
+  });
+  if (!file) return;
+
+  let data;
+  try {
+    data = JSON.parse(await readTextFromFile(file));
+  }
+  catch (err) {
+    ui.notifications.error(game.i18n.format('FLBR.CHARACTER_TRANSFER.Error.File', { name: file.name }));
+    return;
+  }
+  return importPortableCharacter(data);
+}
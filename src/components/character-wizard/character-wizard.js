@@ -0,0 +1,476 @@
+import { FLBR } from '@system/config';
+import { ACTOR_SUBTYPES, ACTOR_TYPES, ITEM_TYPES, META_CURRENCIES,
+  NATURES, SETTINGS_KEYS, SYSTEM_ID, YEARS_ON_THE_FORCE } from '@system/constants';
+import { getItemChoices } from '@utils/get-item-choices';
+
+/**
+ * @typedef {Object} CharacterWizardState
+ * @property {string}   name
+ * @property {string}   nature
+ * @property {string}   archetype
+ * @property {string}   category         The Years On The Force category
+ * @property {number}   years            The number of years on the force
+ * @property {number?}  promotion        The rolled Promotion points, `null` if not rolled yet
+ * @property {Object.<string, number>} promotionRolls  The Promotion points rolled for each category
+ * @property {Object.<string, number>} attributes
+ * @property {Object.<string, number>} skills
+ * @property {string[]} specialties      The UUIDs of the chosen specialties
+ * @property {string}   keyMemory
+ * @property {string}   keyRelationship
+ * @property {string}   signatureItem
+ */
+
+/** @typedef {import('@utils/get-item-choices').ItemChoice} ItemChoice */
+
+/**
+ * The steps of the wizard, in order.
+ * @type {string[]}
+ */
+const STEPS = ['identity', 'years', 'attributes', 'skills', 'specialties', 'bio', 'summary'];
+
+/**
+ * The die scores a character can have, from the lowest to the highest (D, C, B, A).
+ * @type {number[]}
+ */
+const SCORE_STEPS = Array.from(FLBR.scoreMap.values()).filter(s => s > 0).sort((a, b) => a - b);
+
+/**
+ * Gets the number of steps between two die scores.
+ * @param {number} from
+ * @param {number} to
+ * @returns {number}
+ */
+const scoreSteps = (from, to) => SCORE_STEPS.indexOf(to) - SCORE_STEPS.indexOf(from);
+
+/* ------------------------------------------ */
+/*  Character Creation Wizard                 */
+/* ------------------------------------------ */
+
+/**
+ * A step-by-step application for creating a new player character,
+ * following the Years On The Force rules.
+ * @extends {FormApplication}
+ */
+export default class CharacterWizard extends FormApplication {
+  constructor(options = {}) {
+    super({}, options);
+
+    /**
+     * The index of the current step.
+     * @type {number}
+     */
+    this.step = 0;
+
+    /**
+     * The choices made so far.
+     * @type {CharacterWizardState}
+     */
+    this.state = this.constructor.getInitialState();
+
+    /**
+     * The specialties available, cached on first use.
+     * @type {ItemChoice[]}
+     */
+    this.specialtyChoices = null;
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  static get defaultOptions() {
+    const sysId = game.system.id || SYSTEM_ID;
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${sysId}-character-wizard`,
+      title: game.i18n.localize('FLBR.CHARACTER_WIZARD.Title'),
+      template: `systems/${sysId}/templates/components/character-wizard/character-wizard.hbs`,
+      classes: [sysId, 'character-wizard'],
+      width: 520,
+      height: 'auto',
+      closeOnSubmit: false,
+      submitOnChange: true,
+      resizable: true,
+    });
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Whether the current user can use the wizard.
+   * @type {boolean}
+   * @readonly
+   */
+  static get canCreate() {
+    return game.user.can('ACTOR_CREATE');
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Gets a blank state with the starting scores.
+   * @returns {CharacterWizardState}
+   */
+  static getInitialState() {
+    const attributes = {};
+    for (const attributeKey of FLBR.attributes) {
+      attributes[attributeKey] = FLBR.startingAttributeLevel;
+    }
+    const skills = {};
+    for (const skillKey of FLBR.skills) {
+      skills[skillKey] = FLBR.startingSkillLevel;
+    }
+    return {
+      name: '',
+      nature: NATURES.HUMAN,
+      archetype: Object.keys(FLBR.archetypes)[0],
+      category: YEARS_ON_THE_FORCE.ROOKIE,
+      years: FLBR.yearsOnTheForce[YEARS_ON_THE_FORCE.ROOKIE].years[0],
+      promotion: null,
+      promotionRolls: {},
+      attributes,
+      skills,
+      specialties: [],
+      keyMemory: '',
+      keyRelationship: '',
+      signatureItem: '',
+    };
+  }
+
+  /* ------------------------------------------ */
+  /*  Properties                                */
+  /* ------------------------------------------ */
+
+  /**
+   * The name of the current step.
+   * @type {string}
+   * @readonly
+   */
+  get stepName() {
+    return STEPS[this.step];
+  }
+
+  /**
+   * The modifiers of the chosen Years On The Force category.
+   * @type {{ attributes: number, skills: number, specialties: number, promos: string, chinyen: number }}
+   * @readonly
+   */
+  get modifiers() {
+    return FLBR.yearsOnTheForce[this.state.category].modifiers;
+  }
+
+  /**
+   * The number of specialties to choose.
+   * @type {number}
+   * @readonly
+   */
+  get specialtyCount() {
+    return this.modifiers.specialties + FLBR.archetypeSpecialties;
+  }
+
+  /**
+   * The starting Chinyen points.
+   * @type {number}
+   * @readonly
+   */
+  get chinyen() {
+    return Math.clamped(FLBR.startingChinyenPoints + this.modifiers.chinyen, 0, FLBR.maxChinyenPoints);
+  }
+
+  /**
+   * Whether the user can choose the nature of the character (same permission as in the character sheet).
+   * @type {boolean}
+   * @readonly
+   */
+  get canEditNature() {
+    return game.settings.get(SYSTEM_ID, SETTINGS_KEYS.EDIT_NATURE_PERMISSION) || game.user.isGM;
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Gets the number of points spent in a group of scores.
+   * @param {'attributes'|'skills'} group
+   * @returns {number}
+   */
+  getSpentPoints(group) {
+    const start = group === 'attributes' ? FLBR.startingAttributeLevel : FLBR.startingSkillLevel;
+    return Object.values(this.state[group]).reduce((n, v) => n + scoreSteps(start, v), 0);
+  }
+
+  /**
+   * Gets the number of points left to spend in a group of scores.
+   * @param {'attributes'|'skills'} group
+   * @returns {number}
+   */
+  getRemainingPoints(group) {
+    return this.modifiers[group] - this.getSpentPoints(group);
+  }
+
+  /* ------------------------------------------ */
+  /*  Data                                      */
+  /* ------------------------------------------ */
+
+  /** @override */
+  async getData(options) {
+    if (this.stepName === 'specialties' || this.stepName === 'summary') {
+      this.specialtyChoices ??= await getItemChoices([ITEM_TYPES.SPECIALTY]);
+    }
+    const state = this.state;
+    const category = FLBR.yearsOnTheForce[state.category];
+
+    const scores = (group, start) => Object.entries(state[group]).map(([key, value]) => ({
+      key,
+      label: group === 'attributes'
+        ? `FLBR.ATTRIBUTE.${key.toUpperCase()}`
+        : `FLBR.SKILL.${key.capitalize()}`,
+      score: FLBR.dieMap.get(value),
+      value,
+      canDecrease: value > start,
+      canIncrease: value < SCORE_STEPS.at(-1) && this.getRemainingPoints(group) > 0,
+    }));
+
+    return {
+      state,
+      config: FLBR,
+      step: this.stepName,
+      stepIndex: this.step + 1,
+      stepCount: STEPS.length,
+      isFirst: this.step === 0,
+      isLast: this.step === STEPS.length - 1,
+      categories: Object.fromEntries(Object.entries(FLBR.yearsOnTheForce).map(([k, v]) => [k, v.label])),
+      category,
+      modifiers: this.modifiers,
+      attributes: scores('attributes', FLBR.startingAttributeLevel),
+      skills: scores('skills', FLBR.startingSkillLevel),
+      attributePoints: this.getRemainingPoints('attributes'),
+      skillPoints: this.getRemainingPoints('skills'),
+      specialtyCount: this.specialtyCount,
+      specialties: this.specialtyChoices?.map(s => ({ ...s, checked: state.specialties.includes(s.uuid) })),
+      chosenSpecialties: this.specialtyChoices?.filter(s => state.specialties.includes(s.uuid)),
+      chinyen: this.chinyen,
+      editNature: this.canEditNature,
+      options,
+    };
+  }
+
+  /* ------------------------------------------ */
+  /*  Listeners                                 */
+  /* ------------------------------------------ */
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('[data-action]').on('click', this._onAction.bind(this));
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Handles the buttons of the wizard.
+   * @param {Event} event
+   * @returns {Promise.<void>}
+   * @private
+   */
+  async _onAction(event) {
+    event.preventDefault();
+    const { action, group, key } = event.currentTarget.dataset;
+
+    // Records any pending input before acting.
+    await this._onSubmit(event, { preventRender: true });
+
+    switch (action) {
+      case 'next':
+        if (!this._validateStep()) return;
+        this.step = Math.min(this.step + 1, STEPS.length - 1);
+        break;
+      case 'back':
+        this.step = Math.max(this.step - 1, 0);
+        break;
+      case 'increase':
+      case 'decrease':
+        this._changeScore(group, key, action === 'increase' ? 1 : -1);
+        break;
+      case 'roll-promos':
+        await this._rollPromotion();
+        break;
+      case 'create':
+        if (!this._validateStep()) return;
+        return this.createCharacter();
+    }
+    this.render(true);
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  async _updateObject(event, formData) {
+    const data = foundry.utils.expandObject(formData);
+    const previousCategory = this.state.category;
+
+    for (const key of ['name', 'nature', 'archetype', 'keyMemory', 'keyRelationship', 'signatureItem']) {
+      if (key === 'nature' && !this.canEditNature) continue;
+      if (key in data) this.state[key] = data[key];
+    }
+    if ('category' in data) this.state.category = data.category;
+    if ('years' in data) this.state.years = Number(data.years) || 0;
+    if ('specialties' in data) {
+      // The checkboxes are named by index, as UUIDs contain dots.
+      this.state.specialties = Object.entries(data.specialties)
+        .filter(([, checked]) => checked)
+        .map(([i]) => this.specialtyChoices[i].uuid);
+    }
+
+    // A new category resets what depended on the previous one.
+    if (this.state.category !== previousCategory) {
+      const [min, max] = FLBR.yearsOnTheForce[this.state.category].years;
+      this.state.years = Math.clamped(this.state.years, min, max);
+      // The Promotion points are rolled once per category.
+      this.state.promotion = this.state.promotionRolls[this.state.category] ?? null;
+      const { attributes, skills } = this.constructor.getInitialState();
+      if (this.getRemainingPoints('attributes') < 0) this.state.attributes = attributes;
+      if (this.getRemainingPoints('skills') < 0) this.state.skills = skills;
+      this.state.specialties = this.state.specialties.slice(0, this.specialtyCount);
+    }
+
+    // Re-renders only when the form itself has changed.
+    if (event.type === 'change') this.render(true);
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Raises or lowers a score by one step.
+   * @param {'attributes'|'skills'} group
+   * @param {string} key
+   * @param {number} delta  +1 or -1
+   * @private
+   */
+  _changeScore(group, key, delta) {
+    const start = group === 'attributes' ? FLBR.startingAttributeLevel : FLBR.startingSkillLevel;
+    const index = SCORE_STEPS.indexOf(this.state[group][key]) + delta;
+    if (index < SCORE_STEPS.indexOf(start) || index >= SCORE_STEPS.length) return;
+    if (delta > 0 && this.getRemainingPoints(group) <= 0) return;
+    this.state[group][key] = SCORE_STEPS[index];
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Rolls the starting Promotion points and posts the roll in the chat.
+   * @returns {Promise.<number>}
+   * @private
+   */
+  async _rollPromotion() {
+    const rolled = this.state.promotionRolls[this.state.category];
+    if (rolled != null) {
+      this.state.promotion = rolled;
+      return rolled;
+    }
+
+    const formula = `1${this.modifiers.promos.toLowerCase()}`;
+    const roll = await new Roll(formula).evaluate({ async: true });
+    await roll.toMessage({
+      flavor: game.i18n.format('FLBR.CHARACTER_WIZARD.PromotionRoll', {
+        name: this.state.name || game.i18n.localize('FLBR.CHARACTER_WIZARD.NewCharacter'),
+        category: game.i18n.localize(FLBR.yearsOnTheForce[this.state.category].label),
+      }),
+    });
+    this.state.promotion = Math.min(roll.total, FLBR.maxPromotionPoints);
+    this.state.promotionRolls[this.state.category] = this.state.promotion;
+    return this.state.promotion;
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Validates the current step and warns about what is missing.
+   * @returns {boolean}
+   * @private
+   */
+  _validateStep() {
+    const warn = (key, data) => {
+      ui.notifications.warn(game.i18n.format(`FLBR.CHARACTER_WIZARD.${key}`, data));
+      return false;
+    };
+    switch (this.stepName) {
+      case 'identity':
+        if (!this.state.name.trim()) return warn('NoName');
+        break;
+      case 'years': {
+        const [min, max] = FLBR.yearsOnTheForce[this.state.category].years;
+        if (this.state.years < min || this.state.years > max) return warn('YearsOutOfRange', { min, max });
+        if (this.state.promotion === null) return warn('NoPromotion');
+        break;
+      }
+      case 'attributes':
+      case 'skills': {
+        const points = this.getRemainingPoints(this.stepName);
+        if (points !== 0) return warn('PointsNotSpent', { points });
+        break;
+      }
+      case 'specialties':
+        if (this.state.specialties.length !== this.specialtyCount) {
+          return warn('SpecialtyCount', { count: this.specialtyCount });
+        }
+        break;
+    }
+    return true;
+  }
+
+  /* ------------------------------------------ */
+  /*  Creation                                  */
+  /* ------------------------------------------ */
+
+  /**
+   * Creates the character actor from the choices made.
+   * @returns {Promise.<import('@actor/actor-document').default>}
+   */
+  async createCharacter() {
+    const state = this.state;
+
+    const items = [];
+    for (const uuid of state.specialties) {
+      const specialty = await fromUuid(uuid);
+      if (specialty) items.push(game.items.fromCompendium(specialty));
+    }
+
+    const attributes = {};
+    for (const [k, v] of Object.entries(state.attributes)) attributes[k] = { value: v };
+    const skills = {};
+    for (const [k, v] of Object.entries(state.skills)) skills[k] = { value: v };
+
+    const actor = await Actor.create({
+      name: state.name.trim(),
+      type: ACTOR_TYPES.CHAR,
+      system: {
+        subtype: ACTOR_SUBTYPES.PC,
+        nature: state.nature,
+        archetype: state.archetype,
+        attributes,
+        skills,
+        bio: {
+          keyMemory: state.keyMemory,
+          keyRelationship: state.keyRelationship,
+          yearsOnTheForce: state.years,
+        },
+        signatureItem: { name: state.signatureItem },
+      },
+      items,
+    });
+
+    if (actor) {
+      // Fills the capacities, which maxima are only known once the actor is prepared.
+      await actor.update({
+        'system.health.value': actor.system.health.max,
+        'system.resolve.value': actor.system.resolve.max,
+      });
+      // The starting points go through the ledger.
+      await actor.modifyMetaCurrencies({
+        [META_CURRENCIES.PROMOTION]: state.promotion ?? 0,
+        [META_CURRENCIES.CHINYEN]: this.chinyen,
+      }, { reason: game.i18n.localize('FLBR.CHARACTER_WIZARD.Title') });
+      this.close();
+      actor.sheet.render(true);
+    }
+    return actor;
+  }
+}
@@ -0,0 +1,342 @@
+import { FLBR } from '@system/config';
+import { ACTOR_TYPES, SYSTEM_ID } from '@system/constants';
+import BRRollHandler from '@components/roll/roller';
+import { rollMedicalAid } from '@components/recovery/recovery';
+import { chooseActor } from '@utils/get-actor';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ * @typedef {import('@item/item-document').default} BladeRunnerItem
+ */
+
+/**
+ * @typedef {Object} DeathSaveTracker
+ * @property {string}  injuryId  The ID of the lethal injury (empty if the character is not dying)
+ * @property {string}  unit      The time unit of the time limit (see `FLBR.deathSave.units`)
+ * @property {number}  interval  The number of time units between two death saves
+ * @property {string}  combatId  The ID of the combat counting the rounds, if any
+ * @property {number}  nextAt    The combat round or the world time of the next death save
+ * @property {number}  saves     The number of death saves succeeded
+ * @property {boolean} pending   Whether a death save is awaited
+ */
+
+/* ------------------------------------------ */
+/*  Helper Methods                            */
+/* ------------------------------------------ */
+
+/**
+ * Whether a character is dying from a lethal injury.
+ * @param {BladeRunnerActor} actor
+ * @returns {boolean}
+ */
+export function isDying(actor) {
+  return !!actor?.system.deathSave?.injuryId;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Reads the time limit of the death saves written in a lethal injury (e.g. "D6 rounds").
+ * @param {string} text
+ * @returns {Promise.<{ unit: string, interval: number }>}
+ */
+async function parseTimeLimit(text) {
+  const str = (text ?? '').toLowerCase();
+  const unit = Object.keys(FLBR.deathSave.units).find(u => str.includes(u)) ?? FLBR.deathSave.defaultUnit;
+
+  let interval = 1;
+  const match = str.match(/(\d*)\s*d\s*(\d+)|(\d+)/);
+  if (match) {
+    const [, qty, faces, fixed] = match;
+    const roll = await new Roll(fixed ?? `${qty || 1}d${faces}`).evaluate({ async: true });
+    interval = roll.total;
+  }
+  return { unit, interval: Math.max(1, interval) };
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Gets the active combat in which a character fights, if any.
+ * @param {BladeRunnerActor} actor
+ * @returns {Combat|undefined}
+ */
+function getActorCombat(actor) {
+  return game.combats.find(c => c.started && c.combatants.some(cb => cb.actorId === actor.id));
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Schedules the next death save of a character.
+ * Rounds are counted with the combat rounds if the character is in an active combat,
+ * otherwise the world time is used.
+ * @param {BladeRunnerActor} actor
+ * @param {string}           unit
+ * @param {number}           interval
+ * @returns {{ combatId: string, nextAt: number }}
+ */
+function scheduleDeathSave(actor, unit, interval) {
+  const combat = unit === 'round' ? getActorCombat(actor) : null;
+  if (combat) return { combatId: combat.id, nextAt: combat.round + interval };
+  const seconds = FLBR.deathSave.units[unit]?.seconds ?? FLBR.deathSave.units[FLBR.deathSave.defaultUnit].seconds;
+  return { combatId: '', nextAt: game.time.worldTime + interval * seconds };
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Gets the state of the death saves of a character, for display.
+ * @param {BladeRunnerActor} actor
+ * @returns {{ injury: string, next: string, saves: number, pending: boolean }|null}
+ *   `null` if the character is not dying
+ */
+export function getDeathSaveStatus(actor) {
+  if (!isDying(actor)) return null;
+  const { injuryId, unit, combatId, nextAt, saves, pending } = actor.system.deathSave;
+
+  let count;
+  if (combatId) {
+    count = nextAt - (game.combats.get(combatId)?.round ?? nextAt);
+  }
+  else {
+    const seconds = FLBR.deathSave.units[unit]?.seconds || 1;
+    count = Math.ceil((nextAt - game.time.worldTime) / seconds);
+  }
+
+  return {
+    injury: actor.items.get(injuryId)?.name ?? '',
+    next: game.i18n.format('FLBR.DEATH_SAVE.NextIn', {
+      count: Math.max(0, count),
+      unit: game.i18n.localize(FLBR.deathSave.units[unit]?.label ?? unit),
+    }),
+    saves,
+    pending,
+  };
+}
+
+/* ------------------------------------------ */
+/*  Death Save Tracker                        */
+/* ------------------------------------------ */
+
+/**
+ * Starts the death saves of a character suffering a lethal injury.
+ * If the character is already dying, the current tracker is kept.
+ * @param {BladeRunnerActor} actor
+ * @param {BladeRunnerItem}  injury
+ * @returns {Promise.<BladeRunnerActor|undefined>}
+ */
+export async function startDeathSave(actor, injury) {
+  if (actor.type !== ACTOR_TYPES.CHAR || !injury.system.lethal || isDying(actor)) return;
+
+  const { unit, interval } = await parseTimeLimit(injury.system.deathSave);
+  await actor.update({
+    'system.deathSave': {
+      injuryId: injury.id,
+      unit,
+      interval,
+      ...scheduleDeathSave(actor, unit, interval),
+      saves: 0,
+      pending: false,
+    },
+  });
+  await createDeathSaveMessage(actor, 'started');
+  return actor;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Stops the death saves of a character.
+ * @param {BladeRunnerActor} actor
+ * @returns {Promise.<BladeRunnerActor>}
+ */
+export async function stopDeathSave(actor) {
+  return actor.update({
+    'system.deathSave.injuryId': '',
+    'system.deathSave.pending': false,
+  });
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Prompts the death saves that are due (active GM only).
+ * Called when the world time or a combat round changes.
+ * @returns {Promise.<void>}
+ */
+export async function checkDeathSaves() {
+  if (!game.users.activeGM?.isSelf) return;
+
+  const actors = [
+    ...game.actors,
+    ...(canvas.scene?.tokens.filter(t => !t.actorLink && t.actor).map(t => t.actor) ?? []),
+  ];
+  for (const actor of actors) {
+    if (!isDying(actor)) continue;
+    const { injuryId, combatId, nextAt, pending } = actor.system.deathSave;
+
+    // The injury was healed or removed.
+    if (!actor.items.has(injuryId)) {
+      await stopDeathSave(actor);
+      continue;
+    }
+    if (pending) continue;
+
+    const combat = combatId ? game.combats.get(combatId) : null;
+    const due = combat
+      ? combat.round >= nextAt
+      : !!combatId || game.time.worldTime >= nextAt;
+
+    if (due) {
+      await actor.update({ 'system.deathSave.pending': true });
+      await createDeathSaveMessage(actor, 'prompt');
+    }
+  }
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Rolls the pending death save of a character.
+ * A success grants another time limit, a failure means the character dies.
+ * @param {BladeRunnerActor} actor
+ * @returns {Promise.<boolean|undefined>} Whether the character survived
+ */
+export async function rollDeathSave(actor) {
+  if (!isDying(actor) || !actor.system.deathSave.pending) return;
+  if (!actor.isOwner) {
+    ui.notifications.warn('FLBR.DEATH_SAVE.NotOwner', { localize: true });
+    return;
+  }
+
+  const skillKey = FLBR.deathSaveTest;
+  const attributeKey = FLBR.skillMap[skillKey];
+  const roller = new BRRollHandler({
+    title: `${actor.name}: ${game.i18n.localize('FLBR.DEATH_SAVE.Title')}`,
+    actor,
+    attributeKey,
+    skillKey,
+    dice: [actor.getAttribute(attributeKey), actor.getSkill(skillKey)].filter(Boolean),
+    modifiers: actor.getRollModifiers({ targets: [attributeKey, skillKey] }),
+    maxPush: 0,
+  });
+  await roller.executeRoll();
+
+  if (roller.roll.successCount > 0) {
+    const { unit, interval, saves } = actor.system.deathSave;
+    await actor.update({
+      'system.deathSave': {
+        ...scheduleDeathSave(actor, unit, interval),
+        saves: saves + 1,
+        pending: false,
+      },
+    });
+    await createDeathSaveMessage(actor, 'survived');
+    return true;
+  }
+
+  // Time has run out.
+  await createDeathSaveMessage(actor, 'died');
+  await stopDeathSave(actor);
+  await actor.kill();
+  return false;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Gives medical aid to a dying character.
+ * @param {BladeRunnerActor}  patient
+ * @param {BladeRunnerActor} [healer] Asked if omitted
+ * @returns {Promise.<number|undefined>} The number of successes of the medical aid
+ */
+export async function treatDyingCharacter(patient, healer) {
+  if (!isDying(patient)) return;
+  healer ??= await chooseActor(game.actors.filter(a => a.type === ACTOR_TYPES.CHAR && a.isOwner), {
+    title: `${patient.name}: ${game.i18n.localize('FLBR.SKILL.MedicalAid')}`,
+    notes: game.i18n.localize('FLBR.DEATH_SAVE.ChooseHealer'),
+    selected: game.user.character?.id,
+  });
+  if (!healer) return;
+  return rollMedicalAid(healer, patient);
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Stabilizes a dying character when a medical aid succeeds.
+ * Triggered by the `bladeRunnerMedicalAid` hook.
+ * A user who does not own the patient cannot update them: the stabilization is sent to the active GM
+ * in a chat message (see `onStabilizeMessage`).
+ * @param {BladeRunnerActor} healer
+ * @param {BladeRunnerActor} patient
+ * @param {number}           successes
+ */
+export async function onMedicalAid(healer, patient, successes) {
+  if (!isDying(patient)) return;
+  if (successes <= 0) {
+    ui.notifications.info(game.i18n.format('FLBR.DEATH_SAVE.TreatmentFailed', { name: patient.name }));
+    return;
+  }
+  if (!patient.isOwner) {
+    await ChatMessage.create({
+      content: `<p>${game.i18n.format('FLBR.DEATH_SAVE.TreatmentSent', { name: patient.name })}</p>`,
+      speaker: ChatMessage.getSpeaker({ actor: healer, token: healer.token }),
+      whisper: ChatMessage.getWhisperRecipients('GM'),
+      flags: { bladerunner: { stabilize: ChatMessage.getSpeaker({ actor: patient, token: patient.token }) } },
+    });
+    return;
+  }
+  await stabilizeDyingCharacter(patient);
+}
+
+/**
+ * Stabilizes the dying character of a chat message sent by a user who does not own them.
+ * Only the active GM processes the message.
+ * @param {ChatMessage} message
+ * @returns {Promise.<ChatMessage|undefined>}
+ */
+export async function onStabilizeMessage(message) {
+  const speaker = message.getFlag('bladerunner', 'stabilize');
+  if (!speaker || !game.users.activeGM?.isSelf) return;
+  const patient = BRRollHandler.getSpeaker(speaker);
+  if (!isDying(patient)) return;
+  return stabilizeDyingCharacter(patient);
+}
+
+/**
+ * Stops the death saves of a dying character and announces it.
+ * @param {BladeRunnerActor} patient
+ * @returns {Promise.<ChatMessage>}
+ */
+async function stabilizeDyingCharacter(patient) {
+  await stopDeathSave(patient);
+  return createDeathSaveMessage(patient, 'stabilized');
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Posts a chat card about the death saves of a character.
+ * @param {BladeRunnerActor} actor
+ * @param {'started'|'prompt'|'survived'|'died'|'stabilized'} state
+ * @returns {Promise.<ChatMessage>}
+ */
+async function createDeathSaveMessage(actor, state) {
+  const template = `systems/${SYSTEM_ID}/templates/components/death-save/death-save-chatcard.hbs`;
+  const content = await renderTemplate(template, {
+    actorId: actor.id,
+    tokenId: actor.token ? `${actor.token.parent.id}.${actor.token.id}` : '',
+    name: actor.name,
+    status: state,
+    message: `FLBR.DEATH_SAVE.STATUS.${state.capitalize()}`,
+    prompt: state === 'prompt',
+    deathSave: getDeathSaveStatus(actor),
+    config: CONFIG.BLADE_RUNNER,
+  });
+  return ChatMessage.create({
+    content,
+    speaker: ChatMessage.getSpeaker({ actor, token: actor.token }),
+  });
+}
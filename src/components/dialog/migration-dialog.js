@@ -0,0 +1,82 @@
+import { SYSTEM_ID } from '@system/constants';
+
+/**
+ * A non-closable window displaying the progress of a migration.
+ * @extends {Application}
+ */
+export default class MigrationDialog extends Application {
+  /**
+   * @param {Object}  options
+   * @param {number} [options.total=0] The number of documents to migrate
+   */
+  constructor(options = {}) {
+    super(options);
+    this.total = options.total ?? 0;
+    this.count = 0;
+    this.label = '';
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  static get defaultOptions() {
+    const sysId = game.system.id || SYSTEM_ID;
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${sysId}-migration`,
+      classes: [sysId, 'dialog', 'migration-dialog'],
+      template: `systems/${sysId}/templates/components/dialog/migration-dialog.hbs`,
+      width: 400,
+      height: 'auto',
+    });
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  getData() {
+    return {
+      label: this.label,
+      count: this.count,
+      total: this.total,
+      pct: this.pct,
+    };
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * The progress, in percents.
+   * @type {number}
+   * @readonly
+   */
+  get pct() {
+    if (!this.total) return 100;
+    return Math.clamped(Math.round(100 * this.count / this.total), 0, 100);
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Advances the progress bar by one document.
+   * @param {string} [label] The name of the document being migrated
+   */
+  advance(label = '') {
+    this.count++;
+    this.label = label;
+
+    // Updates the DOM directly instead of re-rendering the whole window.
+    const html = this.element?.[0];
+    if (!html) return;
+    html.querySelector('.migration-bar').style.width = `${this.pct}%`;
+    html.querySelector('.migration-count').innerText = `${this.count}/${this.total}`;
+    html.querySelector('.migration-label').innerText = label;
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  _getHeaderButtons() {
+    // The migration cannot be interrupted.
+    return [];
+  }
+}
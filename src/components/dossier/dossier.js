@@ -0,0 +1,71 @@
+import { FLBR } from '@system/config';
+import { ITEM_TYPES, SYSTEM_ID } from '@system/constants';
+import { getActorStatBlock } from '@system/enricher';
+
+/**
+ * @typedef {import('@actor/character/character-sheet').default} BladeRunnerCharacterSheet
+ */
+
+/* ------------------------------------------ */
+/*  Printable Dossier                         */
+/* ------------------------------------------ */
+
+/**
+ * Gets the data of the dossier of a character, from the data of its sheet.
+ * @param {BladeRunnerCharacterSheet} sheet
+ * @returns {Promise.<Object>}
+ */
+export async function getDossierData(sheet) {
+  const actor = sheet.actor;
+  const sheetData = await sheet.getData();
+  const statBlock = getActorStatBlock(actor, { links: false });
+
+  return {
+    ...sheetData,
+    ...statBlock,
+    title: game.i18n.format('FLBR.DOSSIER.Title', { name: actor.name }),
+    nature: FLBR.natures[actor.system.nature],
+    injuries: actor.itemTypes[ITEM_TYPES.CRITICAL_INJURY].map(i => ({
+      name: i.name,
+      permanent: i.system.permanent,
+      healed: i.system.healed,
+    })),
+    metaCurrencies: sheetData.isPC
+      ? Object.entries(FLBR.metaCurrencies).map(([key, { label, max }]) => ({
+        label,
+        value: actor.system.metaCurrencies[key],
+        max,
+      }))
+      : [],
+    lang: game.i18n.lang,
+    date: new Date().toLocaleDateString(game.i18n.lang),
+    // The images and links of the document are resolved against the server.
+    baseUrl: `${window.location.origin}${foundry.utils.getRoute('/')}`,
+  };
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Renders the dossier of a character as a standalone HTML document,
+ * and opens it in a new browser window, from which it can be printed or saved.
+ * The document is downloaded instead if the window is blocked by the browser.
+ * @param {BladeRunnerCharacterSheet} sheet
+ * @returns {Promise.<string>} The HTML document
+ */
+export async function printDossier(sheet) {
+  const data = await getDossierData(sheet);
+  const template = `systems/${SYSTEM_ID}/templates/components/dossier/dossier.hbs`;
+  const html = await renderTemplate(template, data);
+
+  const win = window.open('', '_blank');
+  if (!win) {
+    ui.notifications.warn('FLBR.DOSSIER.Blocked', { localize: true });
+    saveDataToFile(html, 'text/html', `${sheet.actor.name.slugify()}-dossier.html`);
+    return html;
+  }
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  return html;
+}
@@ -0,0 +1,469 @@
+import { FLBR } from '@system/config';
+import { ACTOR_TYPES, SYSTEM_ID } from '@system/constants';
+import { DIE_SCORE_CHOICES, coerceDieScore } from '@actor/actor-data';
+
+/**
+ * @typedef {Object} IntegrityIssue
+ * @property {string}  path      The path of the property in the document (e.g. `system.skills.force.value`)
+ * @property {string}  message   A localized description of the problem
+ * @property {*}       current   The current value
+ * @property {*}       fix       The suggested value
+ * @property {string} [itemId]   The ID of the owned item concerned, if any
+ * @property {string} [change]   A short text describing the change (e.g. `7 → 6`)
+ * @property {boolean} selected  Whether the fix should be applied
+ */
+
+/**
+ * @typedef {Object} IntegrityReport
+ * @property {string}            id            The ID of the document
+ * @property {string}            name          The name of the document
+ * @property {string}            documentName  The type of document (`Actor` or `Item`)
+ * @property {string}           [pack]         The collection ID of its compendium, if any
+ * @property {IntegrityIssue[]}  issues
+ */
+
+/* ------------------------------------------ */
+/*  Integrity Rules                           */
+/* ------------------------------------------ */
+
+/**
+ * Checks whether a value is a legal die score.
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isDieScore = value => typeof value === 'number' && DIE_SCORE_CHOICES.includes(value);
+
+/**
+ * Checks the raw source data of an actor and its owned items.
+ * @param {Object}  source             The raw source data of the actor
+ * @param {Object} [options]
+ * @param {boolean} [options.inPack]   Whether the actor is in a compendium (its crew cannot be resolved)
+ * @returns {IntegrityIssue[]}
+ */
+export function checkActorSource(source, { inPack = false } = {}) {
+  const issues = [];
+  const sys = source.system ?? {};
+  const issue = (path, message, current, fix) => issues.push({ path, message, current, fix, selected: true });
+
+  switch (source.type) {
+    case ACTOR_TYPES.CHAR:
+      // Attributes
+      for (const attributeKey of FLBR.attributes) {
+        const path = `system.attributes.${attributeKey}.value`;
+        const value = sys.attributes?.[attributeKey]?.value;
+        const stat = game.i18n.localize(`FLBR.ATTRIBUTE.${attributeKey.toUpperCase()}`);
+        if (value == undefined) {
+          issue(path, game.i18n.format('FLBR.INTEGRITY.MissingAttribute', { stat }),
+            value, FLBR.startingAttributeLevel);
+        }
+        else if (!isDieScore(value)) {
+          issue(path, game.i18n.format('FLBR.INTEGRITY.IllegalDieScore', { stat, value }),
+            value, coerceDieScore(value));
+        }
+      }
+      // Skills
+      for (const skillKey of Object.keys(FLBR.skillMap)) {
+        const path = `system.skills.${skillKey}.value`;
+        const value = sys.skills?.[skillKey]?.value;
+        const stat = game.i18n.localize(`FLBR.SKILL.${skillKey.capitalize()}`);
+        if (value == undefined) {
+          issue(path, game.i18n.format('FLBR.INTEGRITY.MissingSkill', { stat }),
+            value, FLBR.startingSkillLevel);
+        }
+        else if (!isDieScore(value)) {
+          issue(path, game.i18n.format('FLBR.INTEGRITY.IllegalDieScore', { stat, value }),
+            value, coerceDieScore(value));
+        }
+      }
+      // Capacities
+      for (const cap of Object.keys(FLBR.capacitiesMap)) {
+        const value = sys[cap]?.value;
+        if (typeof value === 'number' && value < 0) {
+          issue(`system.${cap}.value`, game.i18n.format('FLBR.INTEGRITY.NegativeValue', {
+            stat: game.i18n.localize(`FLBR.HEADER.${cap.capitalize()}`),
+          }), value, 0);
+        }
+      }
+      break;
+
+    case ACTOR_TYPES.VEHICLE: {
+      const mvr = sys.maneuverability;
+      if (mvr != undefined && !isDieScore(mvr)) {
+        issue('system.maneuverability', game.i18n.format('FLBR.INTEGRITY.IllegalDieScore', {
+          stat: game.i18n.localize('FLBR.ATTRIBUTE.MVR'),
+          value: mvr,
+        }), mvr, coerceDieScore(mvr));
+      }
+      const hull = sys.hull ?? {};
+      const hullName = game.i18n.localize('FLBR.HEADER.Hull');
+      if (hull.value < 0) {
+        issue('system.hull.value', game.i18n.format('FLBR.INTEGRITY.NegativeValue', { stat: hullName }),
+          hull.value, 0);
+      }
+      else if (hull.value > hull.max) {
+        issue('system.hull.value', game.i18n.format('FLBR.INTEGRITY.AboveMaxValue', { stat: hullName }),
+          hull.value, hull.max);
+      }
+      // Crew (it cannot be resolved in a compendium)
+      if (inPack) break;
+      const crew = sys.crew ?? [];
+      const seen = new Set();
+      const cleanCrew = crew.filter(p => {
+        const keep = !!p?.id && !seen.has(p.id) && game.actors.has(p.id);
+        if (p?.id) seen.add(p.id);
+        return keep;
+      });
+      if (cleanCrew.length !== crew.length) {
+        const dangling = crew.filter(p => !cleanCrew.includes(p)).map(p => p?.id || '?');
+        issue('system.crew', game.i18n.format('FLBR.INTEGRITY.DanglingCrew', {
+          ids: dangling.join(', '),
+        }), crew.length, cleanCrew);
+      }
+      break;
+    }
+  }
+
+  // Owned items
+  for (const itemSource of source.items ?? []) {
+    for (const itemIssue of checkItemSource(itemSource)) {
+      itemIssue.itemId = itemSource._id;
+      itemIssue.message = `${itemSource.name}: ${itemIssue.message}`;
+      issues.push(itemIssue);
+    }
+  }
+
+  return issues;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Checks the raw source data of an item.
+ * @param {Object} source The raw source data of the item
+ * @returns {IntegrityIssue[]}
+ */
+export function checkItemSource(source) {
+  const issues = [];
+  const sys = source.system ?? {};
+  const numbers = {
+    qty: 'FLBR.ItemQuantity',
+    cost: 'FLBR.ItemCost',
+    armor: 'FLBR.ItemArmor',
+    blast: 'FLBR.BlastPower',
+  };
+  for (const [key, label] of Object.entries(numbers)) {
+    if (!(key in sys)) continue;
+    const value = sys[key];
+    const stat = game.i18n.localize(label);
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      issues.push({
+        path: `system.${key}`,
+        message: game.i18n.format('FLBR.INTEGRITY.NotANumber', { stat }),
+        current: value,
+        fix: Math.max(0, Number(value) || 0),
+        selected: true,
+      });
+    }
+    else if (value < 0) {
+      issues.push({
+        path: `system.${key}`,
+        message: game.i18n.format('FLBR.INTEGRITY.NegativeValue', { stat }),
+        current: value,
+        fix: 0,
+        selected: true,
+      });
+    }
+  }
+  return issues;
+}
+
+/* ------------------------------------------ */
+/*  Scan & Repair                             */
+/* ------------------------------------------ */
+
+/**
+ * Gets the raw source data of a world document, as stored in the database when the world was loaded.
+ * The data models fix the illegal values in memory, so `toObject()` would hide the problems.
+ * @param {Actor|Item} doc
+ * @returns {Object}
+ */
+function getWorldSource(doc) {
+  const live = doc.toObject();
+  const raw = game.data[doc.collectionName]?.find(d => d._id === doc.id);
+  if (!raw) return live;
+  // The crew is not fixed by the data model, and may have changed since the world was loaded.
+  if (doc.type === ACTOR_TYPES.VEHICLE) return { ...raw, system: { ...raw.system, crew: live.system.crew } };
+  return raw;
+}
+
+/**
+ * Checks whether an issue found in the raw data of a world document is still relevant,
+ * i.e. the value was not changed since the world was loaded.
+ * @param {IntegrityIssue} issue
+ * @param {Object}         live  The current source data of the document
+ * @returns {boolean}
+ */
+function isStillRelevant(issue, live) {
+  const source = issue.itemId ? live.items?.find(i => i._id === issue.itemId) : live;
+  if (!source) return false;
+  const value = foundry.utils.getProperty(source, issue.path);
+  return Array.isArray(issue.fix)
+    || foundry.utils.objectsEqual({ v: value }, { v: issue.fix })
+    || foundry.utils.objectsEqual({ v: value }, { v: issue.current });
+}
+
+/**
+ * Scans the world's actors and items, and the chosen compendiums.
+ * @param {Object}    [options]
+ * @param {boolean}   [options.world=true] Whether to scan the world's documents
+ * @param {string[]}  [options.packs=[]]   The collection IDs of the compendiums to scan
+ * @returns {Promise.<IntegrityReport[]>}
+ */
+export async function scanIntegrity({ world = true, packs = [] } = {}) {
+  const reports = [];
+  const addReport = (source, documentName, pack, issues) => {
+    if (!issues.length) return;
+    for (const issue of issues) {
+      // Arrays (e.g. the crew) are described by their length.
+      const fix = Array.isArray(issue.fix) ? issue.fix.length : issue.fix;
+      issue.change ??= `${issue.current ?? FLBR.dieMap.get(0)} → ${fix}`;
+    }
+    reports.push({ id: source._id, name: source.name, documentName, pack, issues });
+  };
+
+  if (world) {
+    for (const actor of game.actors) {
+      const live = actor.toObject();
+      const issues = checkActorSource(getWorldSource(actor)).filter(i => isStillRelevant(i, live));
+      addReport(actor, 'Actor', null, issues);
+    }
+    for (const item of game.items) {
+      const live = item.toObject();
+      const issues = checkItemSource(getWorldSource(item)).filter(i => isStillRelevant(i, live));
+      addReport(item, 'Item', null, issues);
+    }
+  }
+
+  for (const packId of packs) {
+    const pack = game.packs.get(packId);
+    if (!pack) continue;
+    const index = await pack.getIndex({ fields: ['system', 'items'] });
+    for (const entry of index) {
+      if (pack.documentName === 'Actor') {
+        addReport(entry, 'Actor', packId, checkActorSource(entry, { inPack: true }));
+      }
+      else if (pack.documentName === 'Item') {
+        addReport(entry, 'Item', packId, checkItemSource(entry));
+      }
+    }
+  }
+
+  return reports;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Applies the selected fixes of the reports in one batch.
+ * @param {IntegrityReport[]} reports
+ * @returns {Promise.<{ fixed: IntegrityReport[], failed: IntegrityReport[] }>}
+ */
+export async function applyIntegrityFixes(reports) {
+  const fixed = [];
+  const failed = [];
+
+  // Groups the reports by compendium, so that each one is unlocked only once.
+  const groups = new Map();
+  for (const report of reports) {
+    if (!report.issues.some(i => i.selected)) continue;
+    const key = report.pack ?? '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(report);
+  }
+
+  for (const [packId, packReports] of groups) {
+    const pack = packId ? game.packs.get(packId) : null;
+    const wasLocked = pack?.locked;
+    if (wasLocked) await pack.configure({ locked: false });
+    try {
+      for (const report of packReports) {
+        try {
+          const collection = pack ?? game.collections.get(report.documentName);
+          const doc = pack ? await pack.getDocument(report.id) : collection.get(report.id);
+          await _applyFixes(doc, report.issues.filter(i => i.selected));
+          if (!pack) _syncWorldSource(doc);
+          fixed.push(report);
+        }
+        catch (err) {
+          report.error = err.message;
+          failed.push(report);
+          console.error(err);
+        }
+      }
+    }
+    finally {
+      if (wasLocked) await pack.configure({ locked: true });
+    }
+  }
+
+  return { fixed, failed };
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Applies fixes to a document and its owned items.
+ * Uses `diff: false` because the data model already fixed the values in memory.
+ * @param {Actor|Item}        doc
+ * @param {IntegrityIssue[]}  issues
+ * @returns {Promise.<void>}
+ * @private
+ */
+async function _applyFixes(doc, issues) {
+  const updateData = {};
+  const itemUpdates = {};
+  for (const { path, fix, itemId } of issues) {
+    if (itemId) {
+      itemUpdates[itemId] ??= { _id: itemId };
+      itemUpdates[itemId][path] = fix;
+    }
+    else {
+      updateData[path] = fix;
+    }
+  }
+  if (!foundry.utils.isEmpty(updateData)) {
+    await doc.update(updateData, { diff: false });
+  }
+  const items = Object.values(itemUpdates);
+  if (items.length) {
+    await doc.updateEmbeddedDocuments('Item', items, { diff: false });
+  }
+}
+
+/**
+ * Synchronizes the raw source data of a world document after it was repaired.
+ * @param {Actor|Item} doc
+ * @private
+ */
+function _syncWorldSource(doc) {
+  const sources = game.data[doc.collectionName];
+  const index = sources?.findIndex(d => d._id === doc.id);
+  if (index >= 0) sources[index] = doc.toObject();
+}
+
+/* ------------------------------------------ */
+/*  Integrity Checker Application             */
+/* ------------------------------------------ */
+
+/**
+ * A GM tool that scans the world and the chosen compendiums for corrupted data
+ * and repairs them.
+ * @extends {FormApplication}
+ */
+export default class IntegrityChecker extends FormApplication {
+  /**
+   * The results of the last scan.
+   * @type {IntegrityReport[]}
+   */
+  reports = null;
+
+  /**
+   * The collection IDs of the compendiums to scan.
+   * @type {Set.<string>}
+   */
+  selectedPacks = new Set();
+
+  /** @override */
+  static get defaultOptions() {
+    const sysId = game.system.id || SYSTEM_ID;
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${sysId}-integrity-checker`,
+      title: game.i18n.localize('FLBR.INTEGRITY.Title'),
+      template: `systems/${sysId}/templates/components/integrity/integrity-checker.hbs`,
+      classes: [sysId, 'integrity-checker'],
+      width: 560,
+      height: 'auto',
+      closeOnSubmit: false,
+      submitOnChange: false,
+      resizable: true,
+    });
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  getData(options) {
+    const packs = game.packs
+      .filter(p => ['Actor', 'Item'].includes(p.documentName))
+      .filter(p => !p.metadata.system || p.metadata.system === game.system.id)
+      .map(p => ({
+        id: p.collection,
+        label: p.metadata.label,
+        type: p.documentName,
+        checked: this.selectedPacks.has(p.collection),
+      }));
+    return {
+      packs,
+      reports: this.reports,
+      scanned: !!this.reports,
+      issueCount: this.reports?.reduce((n, r) => n + r.issues.length, 0) ?? 0,
+      options,
+    };
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  async _updateObject(event, formData) {
+    // Records the form state.
+    this.selectedPacks = new Set(Object.keys(formData).filter(k => k.startsWith('pack.') && formData[k])
+      .map(k => k.slice(5)));
+    for (const [ri, report] of (this.reports ?? []).entries()) {
+      for (const [ii, issue] of report.issues.entries()) {
+        issue.selected = !!formData[`fix.${ri}.${ii}`];
+      }
+    }
+
+    switch (event.submitter?.id) {
+      case 'scan': return this.scan();
+      case 'repair': return this.repair();
+    }
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Scans the world and the selected compendiums.
+   * @returns {Promise.<IntegrityReport[]>}
+   */
+  async scan() {
+    this.reports = await scanIntegrity({ packs: [...this.selectedPacks] });
+    this.render(true);
+    return this.reports;
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Applies the selected fixes, posts a report in the chat and scans again.
+   * @returns {Promise.<void>}
+   */
+  async repair() {
+    if (!this.reports?.length) return;
+    const { fixed, failed } = await applyIntegrityFixes(this.reports);
+
+    const template = `systems/${SYSTEM_ID}/templates/components/integrity/integrity-report-chatcard.hbs`;
+    const content = await renderTemplate(template, {
+      fixed: fixed.map(r => ({ ...r, issues: r.issues.filter(i => i.selected) })),
+      failed,
+    });
+    await ChatMessage.create({
+      content,
+      whisper: ChatMessage.getWhisperRecipients('GM'),
+      speaker: { alias: game.i18n.localize('FLBR.INTEGRITY.Title') },
+      user: game.user.id,
+    });
+
+    await this.scan();
+  }
+}
@@ -142,9 +142,9 @@ export default class Modifier {
    * @returns {Modifier[]}
    * @static
    */
-  static getModifiers(item, path = 'system.modifiers', { targets = [], onlyActive = false } = {}) {
+  static getModifiers(item, path = 'system.modifiers', options = {}) {
     // Gets the modifiers.
-    let out = [];
+    const out = [];
     const mods = foundry.utils.getProperty(item, path);
     if (!mods) return undefined;
     for (const mod of Object.values(mods)) {
@@ -158,15 +158,27 @@ export default class Modifier {
         console.error(error);
       }
     }
-    // Filters the modifiers.
+    return this.filterModifiers(out, options);
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Filters an array of modifiers.
+   * @param {Modifier[]}            modifiers
+   * @param {ModifierFilterOptions} options
+   * @returns {Modifier[]}
+   * @static
+   */
+  static filterModifiers(modifiers, { targets = [], onlyActive = false } = {}) {
     if (!Array.isArray(targets)) targets = [targets];
     if (onlyActive || targets.length > 0) {
-      out = out.filter(m => {
+      return modifiers.filter(m => {
         const a = onlyActive ? m.active : true;
         return (a && targets.includes(m.target));
       });
     }
-    return out;
+    return modifiers;
   }
 
   /* ------------------------------------------ */
@@ -0,0 +1,141 @@
+import { FLBR } from '@system/config';
+import { ACTOR_SUBTYPES, ACTOR_TYPES, INVOCATION_STATES, META_CURRENCIES, SYSTEM_ID } from '@system/constants';
+import { getCurrentSession } from '@system/session';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ */
+
+/**
+ * @typedef {Object} KeyInvocation
+ * @property {string} id         The identifier of the invocation
+ * @property {string} key        The key invoked (see `KEY_INVOCATIONS`)
+ * @property {string} session    The ID of the game session when it was invoked
+ * @property {number} timestamp  The time of the invocation
+ * @property {number} amount     The humanity points awarded when approved
+ * @property {string} state      The state of the award (see `INVOCATION_STATES`)
+ * @property {string} userName   The name of the user who invoked the key
+ */
+
+/* ------------------------------------------ */
+
+/**
+ * Gets the invocation of a key during the current game session, if any (rejected invocations excluded).
+ * @param {BladeRunnerActor} actor
+ * @param {string}           key    The key (see `KEY_INVOCATIONS`)
+ * @returns {KeyInvocation|undefined}
+ */
+export function getSessionInvocation(actor, key) {
+  const session = getCurrentSession().id;
+  return actor.system.invocations?.findLast(i => i.key === key
+    && i.session === session
+    && i.state !== INVOCATION_STATES.REJECTED);
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Checks whether an actor can invoke their key memory or key relationship.
+ * @param {BladeRunnerActor} actor
+ * @param {string}           key    The key (see `KEY_INVOCATIONS`)
+ * @returns {boolean}
+ */
+export function canInvokeKey(actor, key) {
+  return actor?.type === ACTOR_TYPES.CHAR
+    && actor.system.subtype === ACTOR_SUBTYPES.PC
+    && key in FLBR.keyInvocations
+    && !getSessionInvocation(actor, key);
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Invokes the key memory or the key relationship of an actor,
+ * which queues a humanity award for the GM's approval.
+ * @param {BladeRunnerActor} actor
+ * @param {string}           key    The key (see `KEY_INVOCATIONS`)
+ * @returns {Promise.<ChatMessage|undefined>}
+ */
+export async function invokeKey(actor, key) {
+  if (!canInvokeKey(actor, key)) {
+    ui.notifications.warn(game.i18n.format('FLBR.INVOCATION.AlreadyInvoked', {
+      name: actor?.name,
+      key: game.i18n.localize(FLBR.keyInvocations[key]?.label ?? key),
+    }));
+    return;
+  }
+
+  /** @type {KeyInvocation} */
+  const invocation = {
+    id: foundry.utils.randomID(),
+    key,
+    session: getCurrentSession().id,
+    timestamp: Date.now(),
+    amount: FLBR.keyInvocations[key].humanity,
+    state: INVOCATION_STATES.PENDING,
+    userName: game.user.name,
+  };
+  await actor.update({ 'system.invocations': [...actor._source.system.invocations, invocation] });
+  return ChatMessage.create({
+    content: await renderInvocationCard(actor, invocation),
+    speaker: ChatMessage.getSpeaker({ actor }),
+  });
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Approves or rejects a pending invocation (GM only).
+ * An approved invocation awards its humanity points, capped by the maximum.
+ * @param {BladeRunnerActor} actor
+ * @param {string}           invocationId
+ * @param {boolean}          approved
+ * @param {Object}          [options]
+ * @param {ChatMessage}     [options.message]  The chat message of the invocation, to update
+ * @returns {Promise.<KeyInvocation|undefined>}
+ */
+export async function resolveInvocation(actor, invocationId, approved, { message } = {}) {
+  if (!game.user.isGM) return;
+  const invocations = foundry.utils.deepClone(actor._source.system.invocations);
+  const invocation = invocations.find(i => i.id === invocationId);
+  if (invocation?.state !== INVOCATION_STATES.PENDING) return;
+
+  invocation.state = approved ? INVOCATION_STATES.APPROVED : INVOCATION_STATES.REJECTED;
+  await actor.update({ 'system.invocations': invocations });
+
+  if (approved) {
+    await actor.modifyMetaCurrencies({ [META_CURRENCIES.HUMANITY]: invocation.amount }, {
+      reason: game.i18n.format('FLBR.INVOCATION.Reason', {
+        key: game.i18n.localize(FLBR.keyInvocations[invocation.key].label),
+      }),
+    });
+  }
+  Hooks.callAll('bladeRunnerKeyInvocation', actor, invocation);
+
+  if (message) await message.update({ content: await renderInvocationCard(actor, invocation) });
+  return invocation;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Renders the chat card of an invocation.
+ * @param {BladeRunnerActor} actor
+ * @param {KeyInvocation}    invocation
+ * @returns {Promise.<string>}
+ */
+async function renderInvocationCard(actor, invocation) {
+  const template = `systems/${SYSTEM_ID}/templates/components/key-invocation/key-invocation-chatcard.hbs`;
+  const humanity = actor.system.metaCurrencies[META_CURRENCIES.HUMANITY];
+  return renderTemplate(template, {
+    actorId: actor.id,
+    name: actor.name,
+    invocation,
+    key: FLBR.keyInvocations[invocation.key].label,
+    pending: invocation.state === INVOCATION_STATES.PENDING,
+    approved: invocation.state === INVOCATION_STATES.APPROVED,
+    capped: humanity >= FLBR.maxHumanityPoints,
+    humanity,
+    max: FLBR.maxHumanityPoints,
+  });
+}
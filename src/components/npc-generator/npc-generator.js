@@ -0,0 +1,389 @@
+import { FLBR } from '@system/config';
+import { ACTOR_SUBTYPES, ACTOR_TYPES, ITEM_TYPES, SYSTEM_ID, THREAT_TIERS } from '@system/constants';
+import { getItemChoices } from '@utils/get-item-choices';
+
+/** @typedef {import('@utils/get-item-choices').ItemChoice} ItemChoice */
+
+/**
+ * @typedef {Object} GeneratedNpc
+ * @property {string}  name
+ * @property {string}  archetype
+ * @property {string}  tier         The threat tier
+ * @property {string}  nature
+ * @property {Object.<string, number>} attributes
+ * @property {Object.<string, number>} skills
+ * @property {ItemChoice[]} specialties
+ * @property {ItemChoice[]} gear
+ */
+
+/**
+ * @typedef {Object} NpcGeneratorOptions
+ * @property {string} [archetype]  An archetype, or `random`
+ * @property {string} [tier]       A threat tier
+ * @property {string} [nature]     A nature, or `random`
+ * @property {string} [name]       The name of the NPC
+ */
+
+/**
+ * The value for a random archetype or nature.
+ * @type {string}
+ */
+const RANDOM = 'random';
+
+/**
+ * The die scores an NPC can have, from the lowest to the highest (none, D, C, B, A).
+ * @type {number[]}
+ */
+const SCORE_STEPS = Array.from(FLBR.scoreMap.values()).sort((a, b) => a - b);
+
+/* ------------------------------------------ */
+/*  Random Helpers                            */
+/* ------------------------------------------ */
+
+/**
+ * Picks a random element from an array.
+ * @param {Array} array
+ * @returns {*}
+ */
+const randomElement = array => array[Math.floor(CONFIG.Dice.randomUniform() * array.length)];
+
+/**
+ * Picks a random key, weighted by its value.
+ * @param {Object.<string, number>} weights
+ * @returns {string|undefined} `undefined` if all weights are zero
+ */
+function weightedPick(weights) {
+  const total = Object.values(weights).reduce((n, w) => n + w, 0);
+  if (total <= 0) return;
+  let r = CONFIG.Dice.randomUniform() * total;
+  for (const [key, weight] of Object.entries(weights)) {
+    r -= weight;
+    if (r < 0) return key;
+  }
+  return Object.keys(weights).at(-1);
+}
+
+/**
+ * Raises random scores by one step each, weighted by the archetype's profile.
+ * Scores already at the maximum are skipped.
+ * @param {Object.<string, number>} scores   The scores to raise (modified)
+ * @param {Object.<string, number>} profile  The weights of the archetype
+ * @param {number} points                    The number of steps to spend
+ * @returns {Object.<string, number>} The raised scores
+ */
+function spendPoints(scores, profile, points) {
+  const max = SCORE_STEPS.at(-1);
+  for (let i = 0; i < points; i++) {
+    const weights = {};
+    for (const [k, v] of Object.entries(scores)) {
+      weights[k] = v < max ? profile[k] ?? 1 : 0;
+    }
+    const key = weightedPick(weights);
+    if (!key) break;
+    scores[key] = SCORE_STEPS[SCORE_STEPS.indexOf(scores[key]) + 1];
+  }
+  return scores;
+}
+
+/**
+ * Picks a number of distinct random items.
+ * @param {ItemChoice[]} pool
+ * @param {number} count
+ * @returns {ItemChoice[]}
+ */
+function pickItems(pool, count) {
+  const remaining = [...pool];
+  const picked = [];
+  while (picked.length < count && remaining.length) {
+    const index = Math.floor(CONFIG.Dice.randomUniform() * remaining.length);
+    picked.push(...remaining.splice(index, 1));
+  }
+  return picked;
+}
+
+/* ------------------------------------------ */
+/*  Generation                                */
+/* ------------------------------------------ */
+
+/**
+ * Gathers the specialties and the gear the generator can draw from.
+ * @returns {Promise.<{ specialties: ItemChoice[], gear: ItemChoice[] }>}
+ */
+export async function getNpcItemPool() {
+  const choices = await getItemChoices([ITEM_TYPES.SPECIALTY, ...FLBR.physicalItems]);
+  return {
+    specialties: choices.filter(c => c.type === ITEM_TYPES.SPECIALTY),
+    gear: choices.filter(c => c.type !== ITEM_TYPES.SPECIALTY),
+  };
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Generates a random NPC from an archetype and a threat tier.
+ * @param {NpcGeneratorOptions} [options]
+ * @param {{ specialties: ItemChoice[], gear: ItemChoice[] }} [pool] The items to draw from
+ * @returns {GeneratedNpc}
+ */
+export function generateNpc(options = {}, pool = { specialties: [], gear: [] }) {
+  const archetype = !options.archetype || options.archetype === RANDOM
+    ? randomElement(Object.keys(FLBR.archetypes))
+    : options.archetype;
+  const nature = !options.nature || options.nature === RANDOM
+    ? randomElement(Object.keys(FLBR.natures))
+    : options.nature;
+  const tier = options.tier ?? THREAT_TIERS.MEDIUM;
+  const threat = FLBR.threatTiers[tier];
+  const profile = FLBR.archetypeProfiles[archetype] ?? {};
+
+  const attributes = {};
+  for (const attributeKey of FLBR.attributes) attributes[attributeKey] = FLBR.startingAttributeLevel;
+  spendPoints(attributes, profile.attributes ?? {}, threat.attributes);
+
+  const skills = {};
+  for (const skillKey of FLBR.skills) skills[skillKey] = 0;
+  spendPoints(skills, profile.skills ?? {}, threat.skills);
+
+  // Draws the gear by type first, so that scarce types are not drowned by the common ones.
+  const gearTypes = (profile.gear ?? FLBR.physicalItems)
+    .filter(type => pool.gear.some(g => g.type === type));
+  const gear = [];
+  for (let i = 0; i < threat.gear && gearTypes.length; i++) {
+    const type = randomElement(gearTypes);
+    const [item] = pickItems(pool.gear.filter(g => g.type === type && !gear.includes(g)), 1);
+    if (item) gear.push(item);
+  }
+
+  return {
+    name: options.name || game.i18n.localize(FLBR.archetypes[archetype]),
+    archetype,
+    tier,
+    nature,
+    attributes,
+    skills,
+    specialties: pickItems(pool.specialties, threat.specialties),
+    gear,
+  };
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Creates the actors of generated NPCs.
+ * @param {GeneratedNpc[]} npcs
+ * @param {Object}  [options]
+ * @param {string}  [options.folder]  The ID of the folder for the actors
+ * @returns {Promise.<import('@actor/actor-document').default[]>}
+ */
+export async function createNpcs(npcs, { folder } = {}) {
+  // Loads each item only once.
+  const itemData = new Map();
+  for (const choice of npcs.flatMap(npc => [...npc.specialties, ...npc.gear])) {
+    if (itemData.has(choice.uuid)) continue;
+    const item = await fromUuid(choice.uuid);
+    if (item) itemData.set(choice.uuid, game.items.fromCompendium(item));
+  }
+
+  const data = npcs.map(npc => {
+    const attributes = {};
+    for (const [k, v] of Object.entries(npc.attributes)) attributes[k] = { value: v };
+    const skills = {};
+    for (const [k, v] of Object.entries(npc.skills)) skills[k] = { value: v };
+    return {
+      name: npc.name,
+      type: ACTOR_TYPES.CHAR,
+      folder,
+      system: {
+        subtype: ACTOR_SUBTYPES.NPC,
+        nature: npc.nature,
+        archetype: npc.archetype,
+        attributes,
+        skills,
+      },
+      items: [...npc.specialties, ...npc.gear]
+        .map(c => itemData.get(c.uuid))
+        .filter(i => i),
+    };
+  });
+  const actors = await Actor.createDocuments(data);
+
+  // Fills the capacities, which maxima are only known once the actors are prepared.
+  await Actor.updateDocuments(actors.map(a => ({
+    _id: a.id,
+    'system.health.value': a.system.health.max,
+    'system.resolve.value': a.system.resolve.max,
+  })));
+  return actors;
+}
+
+/* ------------------------------------------ */
+/*  NPC Generator Application                 */
+/* ------------------------------------------ */
+
+/**
+ * An application for generating random NPCs from an archetype and a threat tier,
+ * with a preview where each NPC can be rerolled before its creation.
+ * @extends {FormApplication}
+ */
+export default class NpcGenerator extends FormApplication {
+  constructor(options = {}) {
+    super({}, options);
+
+    /**
+     * The generation settings.
+     * @type {NpcGeneratorOptions & { count: number }}
+     */
+    this.settings = {
+      archetype: RANDOM,
+      tier: THREAT_TIERS.MEDIUM,
+      nature: RANDOM,
+      name: game.i18n.localize('FLBR.NPC_GENERATOR.DefaultName'),
+      count: 1,
+    };
+
+    /**
+     * The NPCs in the preview.
+     * @type {GeneratedNpc[]}
+     */
+    this.npcs = [];
+
+    /**
+     * The items to draw from, cached on first use.
+     * @type {{ specialties: ItemChoice[], gear: ItemChoice[] }}
+     */
+    this.pool = null;
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  static get defaultOptions() {
+    const sysId = game.system.id || SYSTEM_ID;
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${sysId}-npc-generator`,
+      title: game.i18n.localize('FLBR.NPC_GENERATOR.Title'),
+      template: `systems/${sysId}/templates/components/npc-generator/npc-generator.hbs`,
+      classes: [sysId, 'npc-generator'],
+      width: 640,
+      height: 'auto',
+      closeOnSubmit: false,
+      submitOnChange: false,
+      resizable: true,
+    });
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  getData(options) {
+    const label = (group, key) => group === 'attributes'
+      ? `FLBR.ATTRIBUTE.${key.toUpperCase()}`
+      : `FLBR.SKILL.${key.capitalize()}`;
+    const scores = (npc, group) => Object.entries(npc[group])
+      .filter(([, v]) => v > 0)
+      .map(([k, v]) => ({ label: label(group, k), score: FLBR.dieMap.get(v) }));
+
+    return {
+      settings: this.settings,
+      archetypes: { [RANDOM]: 'FLBR.NPC_GENERATOR.Random', ...FLBR.archetypes },
+      natures: { [RANDOM]: 'FLBR.NPC_GENERATOR.Random', ...FLBR.natures },
+      tiers: Object.fromEntries(Object.entries(FLBR.threatTiers).map(([k, v]) => [k, v.label])),
+      npcs: this.npcs.map(npc => ({
+        ...npc,
+        archetypeLabel: FLBR.archetypes[npc.archetype],
+        natureLabel: FLBR.natures[npc.nature],
+        tierLabel: FLBR.threatTiers[npc.tier].label,
+        attributeScores: scores(npc, 'attributes'),
+        skillScores: scores(npc, 'skills'),
+      })),
+      options,
+    };
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('[data-action=reroll]').on('click', this._onReroll.bind(this));
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  async _updateObject(event, formData) {
+    const data = foundry.utils.expandObject(formData);
+    this.settings = {
+      ...this.settings,
+      ...data.settings,
+      count: Math.clamped(Number(data.settings.count) || 1, 1, 20),
+    };
+    for (const [i, npc] of Object.entries(data.npcs ?? {})) {
+      if (this.npcs[i] && npc.name) this.npcs[i].name = npc.name;
+    }
+
+    switch (event.submitter?.id) {
+      case 'generate': return this.generate();
+      case 'create': return this.create();
+    }
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Rerolls one NPC of the preview, keeping its name.
+   * @param {Event} event
+   * @returns {Promise.<void>}
+   * @private
+   */
+  async _onReroll(event) {
+    event.preventDefault();
+    const index = Number(event.currentTarget.dataset.index);
+    await this._onSubmit(event, { preventRender: true });
+    this.npcs[index] = this._generateOne(this.npcs[index].name);
+    this.render(true);
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Generates one NPC with the current settings.
+   * @param {string} npcName
+   * @returns {GeneratedNpc}
+   * @private
+   */
+  _generateOne(npcName) {
+    return generateNpc({ ...this.settings, name: npcName }, this.pool);
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Fills the preview with new NPCs.
+   * @returns {Promise.<GeneratedNpc[]>}
+   */
+  async generate() {
+    this.pool ??= await getNpcItemPool();
+    const { name: baseName, count } = this.settings;
+    this.npcs = Array.from({ length: count }, (_, i) => {
+      return this._generateOne(count > 1 ? `${baseName} ${i + 1}` : baseName);
+    });
+    this.render(true);
+    return this.npcs;
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Creates the actors of the NPCs in the preview.
+   * @returns {Promise.<import('@actor/actor-document').default[]>}
+   */
+  async create() {
+    if (!this.npcs.length) return [];
+    const actors = await createNpcs(this.npcs);
+    ui.notifications.info(game.i18n.format('FLBR.NPC_GENERATOR.Created', { count: actors.length }));
+    this.npcs = [];
+    this.render(true);
+    return actors;
+  }
+}
@@ -0,0 +1,204 @@
+import { FLBR } from '@system/config';
+import { OPPOSED_ROLES, SYSTEM_ID } from '@system/constants';
+import { getActiveActor } from '@utils/get-actor';
+import BRRollHandler from '@components/roll/roller';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ * @typedef {import('yzur').YearZeroRoll} YearZeroRoll
+ */
+
+/**
+ * The opposed roll a roll is part of, stored in the `opposed` option of the roll.
+ * @typedef {Object} OpposedRollData
+ * @property {string}  id                   The identifier of the opposed roll
+ * @property {string}  role                 The side of the roll (see `OPPOSED_ROLES`)
+ * @property {Object} [defender]            The speaker data of the opposing actor (none for anyone)
+ * @property {string} [resistAttributeKey]  The attribute rolled to resist
+ * @property {string} [resistSkillKey]      The skill rolled to resist
+ */
+
+/* ------------------------------------------ */
+/*  Helper Methods                            */
+/* ------------------------------------------ */
+
+/**
+ * Gets the opposed roll data of a chat message, if its roll is part of an opposed roll.
+ * @param {ChatMessage} message
+ * @returns {OpposedRollData|undefined}
+ */
+export function getOpposedRollData(message) {
+  return message?.rolls?.[0]?.options?.opposed;
+}
+
+/**
+ * Finds the chat message of one side of an opposed roll.
+ * There is at most one per side, because pushing a roll replaces its message.
+ * @param {string} id    The identifier of the opposed roll
+ * @param {string} role  `initiator` or `resistor`
+ * @returns {ChatMessage|undefined}
+ */
+function findOpposedMessage(id, role) {
+  return game.messages.contents.findLast(m => {
+    const opposed = getOpposedRollData(m);
+    return opposed?.id === id && opposed.role === role;
+  });
+}
+
+/* ------------------------------------------ */
+/*  Rolling                                   */
+/* ------------------------------------------ */
+
+/**
+ * Starts an opposed roll: the actor rolls a stat, and the chat card offers a "Resist" button
+ * to the owner of the opposing actor. When both rolls are final, a card declares the winner.
+ * @param {BladeRunnerActor} actor         The initiator of the opposed roll
+ * @param {string}           attributeKey  The attribute rolled by the initiator
+ * @param {string}          [skillKey]     The skill rolled by the initiator
+ * @param {Object}          [options]
+ * @param {BladeRunnerActor} [options.defender]  The opposing actor
+ *   (default: the first targeted token, or anyone if there is none)
+ * @param {string}  [options.resistAttributeKey]  The attribute rolled to resist (default: the same one)
+ * @param {string}  [options.resistSkillKey]      The skill rolled to resist (default: see `FLBR.opposedSkills`)
+ * @param {boolean} [options.skipDialog]          Whether to roll straight away, without the roll dialog
+ * @returns {Promise.<import('@components/roll/roller').default|ChatMessage|undefined>}
+ */
+export async function rollOpposed(actor, attributeKey, skillKey, options = {}) {
+  if (!actor) return;
+  const defender = options.defender ?? game.user.targets.first()?.actor;
+
+  const resistSkillKey = options.resistSkillKey ?? FLBR.opposedSkills[skillKey] ?? skillKey ?? '';
+  const resistAttributeKey = options.resistAttributeKey
+    ?? (resistSkillKey ? FLBR.skillMap[resistSkillKey] : attributeKey);
+
+  /** @type {OpposedRollData} */
+  const opposed = {
+    id: foundry.utils.randomID(),
+    role: OPPOSED_ROLES.INITIATOR,
+    defender: defender ? ChatMessage.getSpeaker({ actor: defender, token: defender.token }) : null,
+    resistAttributeKey,
+    resistSkillKey,
+  };
+  return actor.rollStat(attributeKey, skillKey, { opposed, skipDialog: options.skipDialog });
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Whether the current user can resist the opposed roll of a chat message.
+ * @param {ChatMessage} message
+ * @returns {boolean}
+ */
+export function canResist(message) {
+  const opposed = getOpposedRollData(message);
+  if (opposed?.role !== OPPOSED_ROLES.INITIATOR) return false;
+  if (findOpposedMessage(opposed.id, OPPOSED_ROLES.RESISTOR)) return false;
+  if (!opposed.defender) return true;
+  return !!BRRollHandler.getSpeaker(opposed.defender)?.isOwner;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Rolls the resistance to the opposed roll of a chat message.
+ * @param {ChatMessage} message  The message of the initiator's roll
+ * @returns {Promise.<import('@components/roll/roller').default|ChatMessage|undefined>}
+ */
+export async function resistOpposedRoll(message) {
+  const opposed = getOpposedRollData(message);
+  if (opposed?.role !== OPPOSED_ROLES.INITIATOR) return;
+  if (findOpposedMessage(opposed.id, OPPOSED_ROLES.RESISTOR)) {
+    ui.notifications.warn('FLBR.OPPOSED_ROLL.AlreadyResisted', { localize: true });
+    return;
+  }
+
+  const defender = opposed.defender ? BRRollHandler.getSpeaker(opposed.defender) : await getActiveActor();
+  if (!defender) return;
+  if (!defender.isOwner) {
+    ui.notifications.warn(game.i18n.format('FLBR.OPPOSED_ROLL.NoPermission', { name: defender.name }));
+    return;
+  }
+
+  return defender.rollStat(opposed.resistAttributeKey, opposed.resistSkillKey || null, {
+    opposed: { id: opposed.id, role: OPPOSED_ROLES.RESISTOR },
+  });
+}
+
+/* ------------------------------------------ */
+/*  Resolution                                */
+/* ------------------------------------------ */
+
+/**
+ * Compares the two sides of an opposed roll.
+ * The initiator must roll more successes than the resistor to win.
+ * @param {YearZeroRoll} initiatorRoll
+ * @param {YearZeroRoll} resistorRoll
+ * @returns {{ winner: string, margin: number }} The winning side (`initiator` or `resistor`)
+ *   and the difference of successes
+ */
+export function resolveOpposedRoll(initiatorRoll, resistorRoll) {
+  const margin = initiatorRoll.successCount - resistorRoll.successCount;
+  return {
+    winner: margin > 0 ? OPPOSED_ROLES.INITIATOR : OPPOSED_ROLES.RESISTOR,
+    margin: Math.abs(margin),
+  };
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Checks whether both rolls of an opposed roll are final (they cannot be pushed anymore),
+ * and posts the combined card with the winner.
+ * Called on the client of the user who created or updated the message.
+ * @param {ChatMessage} message
+ * @returns {Promise.<ChatMessage|undefined>}
+ */
+export async function checkOpposedRoll(message) {
+  const opposed = getOpposedRollData(message);
+  if (!opposed) return;
+  if (game.messages.some(m => m.getFlag('bladerunner', 'opposedRoll') === opposed.id)) return;
+
+  const initiatorMessage = findOpposedMessage(opposed.id, OPPOSED_ROLES.INITIATOR);
+  const resistorMessage = findOpposedMessage(opposed.id, OPPOSED_ROLES.RESISTOR);
+  if (!initiatorMessage || !resistorMessage) return;
+
+  /** @type {YearZeroRoll[]} */
+  const [initiatorRoll, resistorRoll] = [initiatorMessage.rolls[0], resistorMessage.rolls[0]];
+  if (initiatorRoll.pushable || resistorRoll.pushable) return;
+
+  const { winner, margin } = resolveOpposedRoll(initiatorRoll, resistorRoll);
+  const side = roll => ({
+    name: roll.options.alias,
+    rollName: roll.options.name,
+    successes: roll.successCount,
+    pushed: roll.pushed,
+    winner: roll.options.opposed.role === winner,
+  });
+  const initiator = side(initiatorRoll);
+  const resistor = side(resistorRoll);
+
+  const template = `systems/${SYSTEM_ID}/templates/components/opposed-roll/opposed-roll-chatcard.hbs`;
+  const content = await renderTemplate(template, {
+    sides: [initiator, resistor],
+    winner: winner === OPPOSED_ROLES.INITIATOR ? initiator.name : resistor.name,
+    margin,
+    config: CONFIG.BLADE_RUNNER,
+  });
+  const result = { id: opposed.id, winner, margin };
+
+  /**
+   * A hook event that fires when an opposed roll is resolved.
+   * @function bladeRunnerOpposedRoll
+   * @memberof hookEvents
+   * @param {YearZeroRoll} initiatorRoll  The roll of the initiator
+   * @param {YearZeroRoll} resistorRoll   The roll of the resistor
+   * @param {{ id: string, winner: string, margin: number }} result The result of the opposed roll
+   */
+  Hooks.callAll('bladeRunnerOpposedRoll', initiatorRoll, resistorRoll, result);
+
+  return ChatMessage.create({
+    content,
+    speaker: initiatorMessage.speaker,
+    flags: { bladerunner: { opposedRoll: opposed.id } },
+  });
+}
@@ -0,0 +1,201 @@
+import { FLBR } from '@system/config';
+import { ACTOR_SUBTYPES, ACTOR_TYPES, CAPACITIES, ITEM_TYPES, SYSTEM_ID } from '@system/constants';
+import { getSessionPushLog } from '@components/push-trauma/push-trauma';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ */
+
+/* ------------------------------------------ */
+/*  Helper Methods                            */
+/* ------------------------------------------ */
+
+/**
+ * Gets the vehicle in which a character is crewed.
+ * @param {BladeRunnerActor} actor
+ * @returns {BladeRunnerActor|undefined}
+ */
+export function getCurrentVehicle(actor) {
+  return game.actors.find(a => a.type === ACTOR_TYPES.VEHICLE && a.system.crew.some(o => o.id === actor.id));
+}
+
+/* ------------------------------------------ */
+/*  Party Overview                            */
+/* ------------------------------------------ */
+
+/**
+ * A GM application listing the state of every PC, and optionally of the selected tokens.
+ * @extends {Application}
+ */
+export default class PartyOverview extends Application {
+  constructor(options = {}) {
+    super(options);
+
+    /**
+     * Whether the actors of the selected tokens are listed too.
+     * @type {boolean}
+     */
+    this.includeTokens = options.includeTokens ?? false;
+
+    /**
+     * The IDs of the hooks refreshing the overview.
+     * @type {Object.<string, number>}
+     * @private
+     */
+    this._hookIds = {};
+
+    /**
+     * Refreshes the overview once after a burst of updates.
+     * @type {Function}
+     * @private
+     */
+    this._refresh = foundry.utils.debounce(() => this.render(), 100);
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  static get defaultOptions() {
+    const sysId = game.system.id || SYSTEM_ID;
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${sysId}-party-overview`,
+      title: game.i18n.localize('FLBR.PARTY_OVERVIEW.Title'),
+      template: `systems/${sysId}/templates/components/party-overview/party-overview.hbs`,
+      classes: [sysId, 'party-overview'],
+      width: 760,
+      height: 'auto',
+      resizable: true,
+    });
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * The characters listed in the overview.
+   * @type {BladeRunnerActor[]}
+   */
+  get actors() {
+    const actors = game.actors.filter(a => a.type === ACTOR_TYPES.CHAR && a.system.subtype === ACTOR_SUBTYPES.PC);
+    if (this.includeTokens) {
+      for (const token of canvas.tokens?.controlled ?? []) {
+        if (token.actor?.type === ACTOR_TYPES.CHAR && !actors.includes(token.actor)) actors.push(token.actor);
+      }
+    }
+    return actors;
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  getData(options) {
+    const characters = this.actors.map(a => {
+      const vehicle = getCurrentVehicle(a);
+      return {
+        uuid: a.uuid,
+        name: a.name,
+        img: a.img,
+        isPC: a.system.subtype === ACTOR_SUBTYPES.PC,
+        broken: a.isBroken,
+        capacities: Object.values(CAPACITIES)
+          .filter(cap => a.system[cap])
+          .map(cap => ({
+            key: cap,
+            label: FLBR.capacitiesMap[cap].label,
+            value: a.system[cap].value,
+            max: a.system[cap].max,
+          })),
+        pushes: getSessionPushLog(a).length,
+        injuries: a.itemTypes[ITEM_TYPES.CRITICAL_INJURY].filter(i => !i.system.healed).map(i => i.name),
+        signatureItem: a.system.signatureItem,
+        metaCurrencies: Object.entries(FLBR.metaCurrencies).map(([key, { label }]) => ({
+          label,
+          value: a.system.metaCurrencies?.[key] ?? 0,
+        })),
+        vehicle: vehicle?.name,
+      };
+    });
+    return { characters, includeTokens: this.includeTokens, options };
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  render(force, options) {
+    // The overview is reserved to the GM.
+    if (!game.user.isGM) return this;
+    return super.render(force, options);
+  }
+
+  /** @override */
+  async _render(force, options) {
+    this._hookIds.updateActor ??= Hooks.on('updateActor', actor => {
+      if (actor.type === ACTOR_TYPES.CHAR || actor.type === ACTOR_TYPES.VEHICLE) this._refresh();
+    });
+    this._hookIds.createItem ??= Hooks.on('createItem', item => {
+      if (item.parent?.type === ACTOR_TYPES.CHAR) this._refresh();
+    });
+    this._hookIds.updateItem ??= Hooks.on('updateItem', item => {
+      if (item.parent?.type === ACTOR_TYPES.CHAR) this._refresh();
+    });
+    this._hookIds.deleteItem ??= Hooks.on('deleteItem', item => {
+      if (item.parent?.type === ACTOR_TYPES.CHAR) this._refresh();
+    });
+    this._hookIds.controlToken ??= Hooks.on('controlToken', () => {
+      if (this.includeTokens) this._refresh();
+    });
+    return super._render(force, options);
+  }
+
+  /** @override */
+  async close(options) {
+    for (const [hook, id] of Object.entries(this._hookIds)) Hooks.off(hook, id);
+    this._hookIds = {};
+    return super.close(options);
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('[data-action]').click(this._onAction.bind(this));
+    html.find('.party-row').click(this._onRowClick.bind(this));
+    html.find('input[name=includeTokens]').change(event => {
+      this.includeTokens = event.currentTarget.checked;
+      this.render();
+    });
+  }
+
+  /**
+   * @param {MouseEvent} event
+   * @private
+   */
+  async _onAction(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    const elem = event.currentTarget;
+    const actor = await fromUuid(elem.closest('[data-actor-uuid]').dataset.actorUuid);
+    if (!actor) return;
+
+    switch (elem.dataset.action) {
+      case 'increase':
+      case 'decrease': {
+        const cap = elem.dataset.capacity;
+        const { value, max } = actor.system[cap];
+        const mod = elem.dataset.action === 'increase' ? 1 : -1;
+        return actor.update({ [`system.${cap}.value`]: Math.clamped(value + mod, 0, max) });
+      }
+      case 'roll': return actor.roll();
+    }
+  }
+
+  /**
+   * @param {MouseEvent} event
+   * @private
+   */
+  async _onRowClick(event) {
+    event.preventDefault();
+    const actor = await fromUuid(event.currentTarget.dataset.actorUuid);
+    return actor?.sheet.render(true);
+  }
+}
@@ -0,0 +1,127 @@
+import { FLBR } from '@system/config';
+import { SYSTEM_ID } from '@system/constants';
+import { getCurrentSession } from '@system/session';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ * @typedef {import('yzur').YearZeroRoll} YearZeroRoll
+ */
+
+/**
+ * @typedef {Object} PushTrauma
+ * @property {string}  id            The ID of the entry in the push log
+ * @property {string}  session       The ID of the game session during which the push occurred
+ * @property {number}  timestamp     When the push occurred
+ * @property {string}  rollName      The name of the pushed roll
+ * @property {string}  attributeKey  The attribute used for the roll
+ * @property {number}  banes         The number of banes rolled
+ * @property {string}  capacity      The capacity hit by the push (health or resolve)
+ * @property {number}  damage        The damage dealt to the capacity
+ * @property {number|null} remaining The value of the capacity after the damage
+ * @property {string[]} helpers      The names of the characters who helped with the roll
+ */
+
+/* ------------------------------------------ */
+
+/**
+ * Gets the capacity that a push would cost to a character,
+ * which depends on their nature and on the attribute rolled.
+ * @param {BladeRunnerActor} actor
+ * @param {string}           attributeKey
+ * @returns {string|null} The key of the capacity (health or resolve)
+ */
+export function getPushTraumaCapacity(actor, attributeKey) {
+  return FLBR.pushTraumaMap[actor?.system?.nature]?.[attributeKey] ?? null;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Gets the pushes of a character during the current game session.
+ * @param {BladeRunnerActor} actor
+ * @returns {PushTrauma[]}
+ */
+export function getSessionPushLog(actor) {
+  const session = getCurrentSession().id;
+  return (actor.system.pushLog ?? []).filter(p => p.session === session);
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Records the push of a roll in the push log of a character and applies its trauma:
+ * each bane rolled on the attribute die inflicts one point of damage to the capacity
+ * defined by the nature of the character.
+ * 
+ * Modules can alter the trauma (or cancel it by returning `false`)
+ * with the `bladeRunnerPrePushTrauma` hook, and react to it with the `bladeRunnerPushTrauma` hook.
+ * The characters who helped with the roll are listed in the trauma, for the modules sharing its consequences.
+ * @param {BladeRunnerActor} actor
+ * @param {YearZeroRoll}     roll  The pushed roll
+ * @returns {Promise.<PushTrauma|undefined>} `undefined` if cancelled
+ */
+export async function applyPushTrauma(actor, roll) {
+  const attributeKey = roll.options.attributeKey ?? '';
+
+  /** @type {PushTrauma} */
+  const trauma = {
+    id: foundry.utils.randomID(),
+    session: getCurrentSession().id,
+    timestamp: Date.now(),
+    rollName: roll.options.name ?? '',
+    attributeKey,
+    banes: roll.baneCount,
+    capacity: getPushTraumaCapacity(actor, attributeKey) ?? '',
+    damage: roll.attributeTrauma,
+    remaining: null,
+    helpers: (roll.options.helpers ?? []).map(h => h.name),
+  };
+
+  if (Hooks.call('bladeRunnerPrePushTrauma', actor, trauma, roll) === false) return;
+
+  const updateData = {
+    'system.pushLog': [...actor._source.system.pushLog, trauma],
+  };
+
+  /** @type {import('@actor/actor-document').ActorCapacity} */
+  const capacity = actor.system[trauma.capacity];
+  if (capacity) {
+    trauma.remaining = Math.clamped(capacity.value - trauma.damage, 0, capacity.max);
+    updateData[`system.${trauma.capacity}.value`] = trauma.remaining;
+  }
+
+  await actor.update(updateData);
+
+  if (trauma.damage > 0 && capacity) {
+    if (trauma.remaining === 0) ui.notifications.info('FLBR.YouAreBroken', { localize: true });
+    await createPushTraumaMessage(actor, trauma);
+  }
+
+  Hooks.callAll('bladeRunnerPushTrauma', actor, trauma, roll);
+  return trauma;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Posts a chat card with the capacity hit by a push and its remaining value.
+ * @param {BladeRunnerActor} actor
+ * @param {PushTrauma}       trauma
+ * @returns {Promise.<ChatMessage>}
+ */
+async function createPushTraumaMessage(actor, trauma) {
+  const template = `systems/${SYSTEM_ID}/templates/components/push-trauma/push-trauma-chatcard.hbs`;
+  const content = await renderTemplate(template, {
+    name: actor.name,
+    trauma,
+    attribute: `FLBR.ATTRIBUTE.${trauma.attributeKey.toUpperCase()}`,
+    capacity: FLBR.capacitiesMap[trauma.capacity].label,
+    max: actor.system[trauma.capacity].max,
+    broken: trauma.remaining === 0,
+    config: CONFIG.BLADE_RUNNER,
+  });
+  return ChatMessage.create({
+    content,
+    speaker: ChatMessage.getSpeaker({ actor, token: actor.token }),
+  });
+}
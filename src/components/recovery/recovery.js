@@ -0,0 +1,298 @@
+import { FLBR } from '@system/config';
+import { ACTOR_TYPES, CAPACITIES, ITEM_TYPES, RECOVERY_ACTIONS, SETTINGS_KEYS, SYSTEM_ID } from '@system/constants';
+import BRRollHandler from '@components/roll/roller';
+import { getPartyCharacters } from '@components/award-points/award-points';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ */
+
+/**
+ * @typedef {Object} RecoveryReport
+ * @property {string}   name      The name of the recovering character
+ * @property {Object.<string, number>} restored  The points recovered in each capacity
+ * @property {string[]} healed    The names of the injuries healed
+ * @property {boolean}  broken    Whether the character is still broken
+ * @property {number}  [aid]      The successes of the medical aid, if any
+ */
+
+/* ------------------------------------------ */
+/*  Injuries                                  */
+/* ------------------------------------------ */
+
+/**
+ * Rolls the healing time of an injury, in shifts.
+ * @param {string} healing  The healing time written in the injury (e.g. "D6 days")
+ * @returns {Promise.<number|null>} `null` if the healing time is not a number of time units
+ */
+export async function rollHealingTime(healing) {
+  const match = healing?.match(/(\d*)\s*d\s*(\d+)|(\d+)/i);
+  if (!match) return null;
+
+  const [, qty, faces, fixed] = match;
+  const formula = fixed ?? `${qty || 1}d${faces}`;
+  const roll = await new Roll(formula).evaluate({ async: true });
+
+  const units = FLBR.recovery.healingUnits;
+  const unit = Object.keys(units).find(u => healing.toLowerCase().includes(u)) ?? 'day';
+  return roll.total * units[unit];
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Counts down the healing time of the injuries of a character.
+ * The injuries that are healed are flagged as such, or deleted (depending on the system settings).
+ * Permanent injuries never heal.
+ * @param {BladeRunnerActor} actor
+ * @param {number}           shifts  The time elapsed, in shifts
+ * @returns {Promise.<string[]>} The names of the injuries healed
+ */
+export async function countDownInjuries(actor, shifts) {
+  if (shifts <= 0) return [];
+
+  const updates = [];
+  const healed = [];
+  for (const injury of actor.itemTypes[ITEM_TYPES.CRITICAL_INJURY]) {
+    const { permanent, healed: isHealed, healingTime } = injury.system;
+    if (permanent || isHealed || healingTime == null) continue;
+
+    const time = Math.max(0, healingTime - shifts);
+    updates.push({ _id: injury.id, 'system.healingTime': time, 'system.healed': time === 0 });
+    if (time === 0) healed.push(injury);
+  }
+
+  if (game.settings.get(SYSTEM_ID, SETTINGS_KEYS.DELETE_HEALED_INJURIES) && healed.length) {
+    const healedIds = healed.map(i => i.id);
+    await actor.deleteEmbeddedDocuments('Item', healedIds);
+    await actor.updateEmbeddedDocuments('Item', updates.filter(u => !healedIds.includes(u._id)));
+  }
+  else if (updates.length) {
+    await actor.updateEmbeddedDocuments('Item', updates);
+  }
+  return healed.map(i => i.name);
+}
+
+/* ------------------------------------------ */
+/*  Recovery                                  */
+/* ------------------------------------------ */
+
+/**
+ * Rolls a medical aid test to assist the recovery of a character.
+ * Fires the `bladeRunnerMedicalAid` hook with the healer, the patient and the number of successes.
+ * @param {BladeRunnerActor}  healer   The character providing the care
+ * @param {BladeRunnerActor}  patient  The recovering character
+ * @returns {Promise.<number>} The number of successes
+ */
+export async function rollMedicalAid(healer, patient) {
+  const skillKey = FLBR.recovery.medicalAid.skill;
+  const attributeKey = FLBR.skillMap[skillKey];
+  const skillName = game.i18n.localize(`FLBR.SKILL.${skillKey.capitalize()}`);
+
+  const roller = new BRRollHandler({
+    title: `${healer.name}: ${skillName} (${patient.name})`,
+    actor: healer,
+    attributeKey,
+    skillKey,
+    dice: [healer.getAttribute(attributeKey), healer.getSkill(skillKey)].filter(Boolean),
+    modifiers: healer.getRollModifiers({ targets: [attributeKey, skillKey] }),
+    maxPush: 0,
+  });
+  await roller.executeRoll();
+
+  const successes = roller.roll.successCount;
+  Hooks.callAll('bladeRunnerMedicalAid', healer, patient, successes);
+  return successes;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Makes a character recover health and resolve, and counts down the healing of their injuries.
+ * @param {BladeRunnerActor} actor
+ * @param {string}           actionKey           The recovery action (see `FLBR.recovery.actions`)
+ * @param {Object}          [options]
+ * @param {number}          [options.aid]        The successes of a medical aid test, if any
+ * @returns {Promise.<RecoveryReport>}
+ */
+export async function recover(actor, actionKey, { aid } = {}) {
+  const action = FLBR.recovery.actions[actionKey];
+  if (!action) throw new Error(`FLBR | Recovery → Unknown action "${actionKey}"`);
+
+  const updateData = {};
+  const restored = {};
+  for (const cap of Object.values(CAPACITIES)) {
+    const capacity = actor.system[cap];
+    if (!capacity) continue;
+
+    let points = action[cap] ?? 0;
+    if (cap === CAPACITIES.HEALTH) {
+      const needsAid = FLBR.recovery.brokenNeedsAid && capacity.value <= 0;
+      if (needsAid && !aid) points = 0;
+      points += (aid ?? 0) * FLBR.recovery.medicalAid.healthPerSuccess;
+    }
+    const value = Math.min(capacity.value + points, capacity.max);
+    restored[cap] = value - capacity.value;
+    if (restored[cap]) updateData[`system.${cap}.value`] = value;
+  }
+  if (!foundry.utils.isEmpty(updateData)) await actor.update(updateData);
+
+  const healed = await countDownInjuries(actor, action.shifts);
+
+  return {
+    name: actor.name,
+    restored,
+    healed,
+    broken: actor.isBroken,
+    aid,
+  };
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Processes the recovery of all the player characters at the end of a shift (GM only).
+ * @returns {Promise.<ChatMessage|undefined>}
+ */
+export async function endOfShift() {
+  if (!game.user.isGM) return;
+  const actors = getPartyCharacters();
+  if (!actors.length) {
+    ui.notifications.warn('FLBR.AWARD_POINTS.NoParty', { localize: true });
+    return;
+  }
+  const reports = [];
+  for (const actor of actors) {
+    reports.push(await recover(actor, RECOVERY_ACTIONS.SHIFT));
+  }
+  return createRecoveryMessage(reports, RECOVERY_ACTIONS.SHIFT, {
+    title: game.i18n.localize('FLBR.RECOVERY.EndOfShift'),
+  });
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Posts a chat card with the results of a recovery.
+ * @param {RecoveryReport[]} reports
+ * @param {string}           actionKey
+ * @param {Object}          [options]
+ * @param {string}          [options.title]   A custom title for the card
+ * @param {Object}          [options.speaker] The speaker of the message
+ * @returns {Promise.<ChatMessage>}
+ */
+export async function createRecoveryMessage(reports, actionKey, { title, speaker } = {}) {
+  const template = `systems/${SYSTEM_ID}/templates/components/recovery/recovery-chatcard.hbs`;
+  const content = await renderTemplate(template, {
+    title: title ?? game.i18n.localize(FLBR.recovery.actions[actionKey].label),
+    reports: reports.map(r => ({
+      ...r,
+      restored: Object.entries(r.restored)
+        .filter(([, v]) => v)
+        .map(([cap, v]) => ({ label: FLBR.capacitiesMap[cap].label, amount: v })),
+    })),
+    config: CONFIG.BLADE_RUNNER,
+  });
+  return ChatMessage.create({
+    content,
+    speaker: speaker ?? { alias: game.user.name },
+  });
+}
+
+/* ------------------------------------------ */
+/*  Recovery Dialog                           */
+/* ------------------------------------------ */
+
+/**
+ * An application for making a character rest and recover, with or without medical aid.
+ * @extends {FormApplication}
+ */
+export default class RecoveryDialog extends FormApplication {
+  /**
+   * @param {BladeRunnerActor} actor
+   * @param {Object} [options]
+   */
+  constructor(actor, options = {}) {
+    super(actor, options);
+
+    /**
+     * The choices in the form.
+     * @type {{ action: string, medicalAid: boolean, healer: string }}
+     */
+    this.choices = {
+      action: RECOVERY_ACTIONS.REST,
+      medicalAid: false,
+      healer: actor.id,
+    };
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  static get defaultOptions() {
+    const sysId = game.system.id || SYSTEM_ID;
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${sysId}-recovery`,
+      template: `systems/${sysId}/templates/components/recovery/recovery-dialog.hbs`,
+      classes: [sysId, 'recovery-dialog'],
+      width: 360,
+      height: 'auto',
+      closeOnSubmit: true,
+      submitOnChange: false,
+    });
+  }
+
+  /** @override */
+  get id() {
+    return `${super.id}-${this.actor.id}`;
+  }
+
+  /** @override */
+  get title() {
+    return `${this.actor.name}: ${game.i18n.localize('FLBR.RECOVERY.Title')}`;
+  }
+
+  /**
+   * The recovering actor.
+   * @type {BladeRunnerActor}
+   * @readonly
+   */
+  get actor() {
+    return this.object;
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  getData(options) {
+    const healers = game.actors.filter(a => a.type === ACTOR_TYPES.CHAR && a.isOwner);
+    if (!healers.includes(this.actor)) healers.unshift(this.actor);
+
+    return {
+      choices: this.choices,
+      actions: Object.fromEntries(Object.entries(FLBR.recovery.actions).map(([k, v]) => [k, v.label])),
+      healers: Object.fromEntries(healers.map(a => [a.id, a.name])),
+      injuries: this.actor.itemTypes[ITEM_TYPES.CRITICAL_INJURY]
+        .filter(i => !i.system.healed && !i.system.permanent && i.system.healingTime != null)
+        .map(i => ({ name: i.name, healingTime: i.system.healingTime })),
+      options,
+    };
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  async _updateObject(_event, formData) {
+    foundry.utils.mergeObject(this.choices, formData);
+
+    let aid;
+    if (this.choices.medicalAid) {
+      const healer = game.actors.get(this.choices.healer) ?? this.actor;
+      aid = await rollMedicalAid(healer, this.actor);
+    }
+    const report = await recover(this.actor, this.choices.action, { aid });
+    return createRecoveryMessage([report], this.choices.action, {
+      speaker: ChatMessage.getSpeaker({ actor: this.actor, token: this.actor.token }),
+    });
+  }
+}
@@ -0,0 +1,290 @@
+import { FLBR } from '@system/config';
+import { SYSTEM_ID } from '@system/constants';
+import { getCurrentSession } from '@system/session';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ * @typedef {import('yzur').YearZeroRoll} YearZeroRoll
+ */
+
+/**
+ * A compact record of a roll, stored in the `system.rollHistory` array of the character.
+ * @typedef {Object} RollRecord
+ * @property {string}  id             The identifier of the record
+ * @property {string}  session        The ID of the game session during which the roll was made
+ * @property {number}  sessionNumber  The number of that game session
+ * @property {number}  timestamp      When the roll was made
+ * @property {string}  rollName       The name of the roll
+ * @property {string}  attributeKey   The attribute rolled (if any)
+ * @property {string}  skillKey       The skill rolled (if any)
+ * @property {number}  dice           The size of the dice pool
+ * @property {number}  successes      The successes rolled (after the pushes)
+ * @property {number}  banes          The banes rolled (after the pushes)
+ * @property {number}  pushes         The number of times the roll was pushed
+ * @property {number}  trauma         The damage or stress taken from the pushes
+ * @property {boolean} crit           Whether the roll was an attack able to inflict a critical injury
+ *   (two successes or more)
+ */
+
+/**
+ * Statistics computed from a set of roll records.
+ * @typedef {Object} RollStatistics
+ * @property {number} rolls          The number of rolls
+ * @property {number} successRate    The percentage of rolls with at least one success
+ * @property {number} avgSuccesses   The average number of successes per roll
+ * @property {number} pushRate       The percentage of pushed rolls
+ * @property {number} trauma         The total damage and stress taken from the pushes
+ * @property {number} crits          The number of critical attacks
+ */
+
+/* ------------------------------------------ */
+/*  Recording                                 */
+/* ------------------------------------------ */
+
+/**
+ * Records a roll (or updates the record of a pushed roll) in the roll history of a character.
+ * The ID of the record is stored in the options of the roll, so it follows the roll into the chat.
+ * @param {YearZeroRoll}     roll
+ * @param {BladeRunnerActor} actor  The actor who rolled
+ * @returns {Promise.<RollRecord|undefined>}
+ */
+export async function recordRoll(roll, actor) {
+  if (!actor?.isOwner || !actor.system.rollHistory) return;
+
+  const records = [...actor._source.system.rollHistory];
+  const index = records.findIndex(r => r.id === roll.options.historyId);
+  const session = getCurrentSession();
+
+  /** @type {RollRecord} */
+  const record = index >= 0 ? { ...records[index] } : {
+    id: foundry.utils.randomID(),
+    session: session.id,
+    sessionNumber: session.number || 0,
+    timestamp: Date.now(),
+    rollName: roll.options.name ?? '',
+    attributeKey: roll.options.attributeKey ?? '',
+    skillKey: roll.options.skillKey ?? '',
+    dice: roll.size,
+  };
+  roll.options.historyId = record.id;
+
+  Object.assign(record, {
+    successes: roll.successCount,
+    banes: roll.baneCount,
+    pushes: roll.pushCount,
+    trauma: roll.options.pushTrauma ?? 0,
+    crit: !!roll.options.crit && roll.successCount >= 2,
+  });
+
+  if (index >= 0) records[index] = record;
+  else records.push(record);
+
+  await actor.update({ 'system.rollHistory': records.slice(-FLBR.rollHistorySize) });
+  return record;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Adds the trauma of a push to the roll, for its record in the roll history.
+ * Called before the pushed roll is recorded.
+ * @param {BladeRunnerActor} _actor
+ * @param {import('@components/push-trauma/push-trauma').PushTrauma} trauma
+ * @param {YearZeroRoll} roll
+ */
+export function onPushTrauma(_actor, trauma, roll) {
+  roll.options.pushTrauma = (roll.options.pushTrauma ?? 0) + trauma.damage;
+}
+
+/* ------------------------------------------ */
+/*  Statistics                                */
+/* ------------------------------------------ */
+
+/**
+ * Gets the game sessions found in the roll history of a character, the most recent first.
+ * @param {BladeRunnerActor} actor
+ * @returns {{ id: string, number: number, date: string }[]}
+ */
+export function getRollSessions(actor) {
+  const sessions = new Map();
+  for (const record of actor.system.rollHistory ?? []) {
+    if (sessions.has(record.session)) continue;
+    sessions.set(record.session, {
+      id: record.session,
+      number: record.sessionNumber,
+      date: new Date(record.timestamp).toLocaleDateString(game.i18n.lang),
+    });
+  }
+  return [...sessions.values()].reverse();
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Computes the statistics of a set of roll records.
+ * @param {RollRecord[]} records
+ * @returns {RollStatistics}
+ */
+export function computeRollStatistics(records) {
+  const rolls = records.length;
+  const percent = n => (rolls ? Math.round(100 * n / rolls) : 0);
+  const sum = fn => records.reduce((tot, r) => tot + fn(r), 0);
+  return {
+    rolls,
+    successRate: percent(records.filter(r => r.successes > 0).length),
+    avgSuccesses: rolls ? Math.round(100 * sum(r => r.successes) / rolls) / 100 : 0,
+    pushRate: percent(records.filter(r => r.pushes > 0).length),
+    trauma: sum(r => r.trauma),
+    crits: records.filter(r => r.crit).length,
+  };
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Gets the statistics of the rolls of a character, in total and by skill.
+ * @param {BladeRunnerActor} actor
+ * @param {Object}  [options]
+ * @param {string}  [options.session]  The ID of a game session to filter the rolls (default: all)
+ * @returns {{ total: RollStatistics, skills: (RollStatistics & { label: string })[] }}
+ */
+export function getRollStatistics(actor, { session } = {}) {
+  let records = actor.system.rollHistory ?? [];
+  if (session != undefined) records = records.filter(r => r.session === session);
+
+  const groups = {};
+  for (const record of records) {
+    const key = record.skillKey || record.attributeKey || '';
+    (groups[key] ??= []).push(record);
+  }
+
+  const skills = Object.entries(groups).map(([key, group]) => {
+    let label = 'FLBR.ROLL_HISTORY.Other';
+    if (FLBR.skillMap[key]) label = `FLBR.SKILL.${key.capitalize()}`;
+    else if (key) label = `FLBR.ATTRIBUTE.${key.toUpperCase()}`;
+    return { label: game.i18n.localize(label), ...computeRollStatistics(group) };
+  }).sort((a, b) => b.rolls - a.rolls);
+
+  return { total: computeRollStatistics(records), skills };
+}
+
+/* ------------------------------------------ */
+/*  Roll Statistics Window                    */
+/* ------------------------------------------ */
+
+/**
+ * An application displaying the statistics of the rolls of a character.
+ * @extends {Application}
+ */
+export default class RollStatisticsApp extends Application {
+  /**
+   * @param {BladeRunnerActor} actor
+   * @param {ApplicationOptions} [options]
+   */
+  constructor(actor, options = {}) {
+    super(options);
+
+    /**
+     * The character whose rolls are displayed.
+     * @type {BladeRunnerActor}
+     */
+    this.actor = actor;
+
+    /**
+     * The ID of the game session to filter the rolls (`undefined` for all).
+     * @type {string|undefined}
+     */
+    this.session = undefined;
+
+    /**
+     * The ID of the hook refreshing the window when the character is updated.
+     * @type {number}
+     * @private
+     */
+    this._hookId = null;
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  static get defaultOptions() {
+    const sysId = game.system.id || SYSTEM_ID;
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      template: `systems/${sysId}/templates/components/roll-history/roll-statistics.hbs`,
+      classes: [sysId, 'roll-statistics'],
+      width: 520,
+      height: 'auto',
+      resizable: true,
+    });
+  }
+
+  /** @override */
+  get id() {
+    return `${game.system.id || SYSTEM_ID}-roll-statistics-${this.actor.id}`;
+  }
+
+  /** @override */
+  get title() {
+    return `${this.actor.name}: ${game.i18n.localize('FLBR.ROLL_HISTORY.Title')}`;
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  getData(options) {
+    return {
+      sessions: getRollSessions(this.actor),
+      session: this.session,
+      isGM: game.user.isGM,
+      ...getRollStatistics(this.actor, { session: this.session }),
+      options,
+    };
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  async _render(force, options) {
+    this._hookId ??= Hooks.on('updateActor', (actor, updateData) => {
+      if (actor === this.actor && foundry.utils.hasProperty(updateData, 'system.rollHistory')) this.render();
+    });
+    return super._render(force, options);
+  }
+
+  /** @override */
+  async close(options) {
+    Hooks.off('updateActor', this._hookId);
+    this._hookId = null;
+    return super.close(options);
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('select[name=session]').change(event => {
+      this.session = event.currentTarget.value || undefined;
+      this.render();
+    });
+    html.find('[data-action=clear]').click(this._onClearHistory.bind(this));
+  }
+
+  /**
+   * Clears the roll history of the character (GM only).
+   * @param {MouseEvent} event
+   * @private
+   */
+  async _onClearHistory(event) {
+    event.preventDefault();
+    if (!game.user.isGM) return;
+    const ok = await Dialog.confirm({
+      title: game.i18n.localize('FLBR.ROLL_HISTORY.Clear'),
+      content: `<p>${game.i18n.format('FLBR.ROLL_HISTORY.ClearHint', { name: this.actor.name })}</p>`,
+      defaultYes: false,
+    });
+    if (!ok) return;
+    this.session = undefined;
+    return this.actor.update({ 'system.rollHistory': [] });
+  }
+}
@@ -1,7 +1,21 @@
 import { YearZeroRoll } from 'yzur';
 import { FLBR } from '@system/config';
-import { ACTOR_TYPES, ITEM_TYPES, SYSTEM_ID } from '@system/constants';
+import { ACTOR_TYPES, ITEM_TYPES, SIGNATURE_ITEM_BENEFITS, SPECIALTY_EFFECTS, SYSTEM_ID } from '@system/constants';
 import { chooseActor, getActiveActor } from '@utils/get-actor';
+import { applyPushTrauma, getPushTraumaCapacity } from '@components/push-trauma/push-trauma';
+import { canUseSignatureItem, useSignatureItem } from '@components/signature-item/signature-item';
+import {
+  getSpecialtyEffects,
+  rerollOneDie,
+  turnBaneIntoSuccess,
+  useSpecialtyEffect,
+} from '@components/specialty/specialty-effects';
+import {
+  chooseRollHelper,
+  closeHelpRequest,
+  onHelpOffer,
+  requestHelp,
+} from '@components/assisted-roll/assisted-roll';
 
 /**
  * @typedef {Object} RollHandlerData
@@ -25,6 +39,9 @@ import { chooseActor, getActiveActor } from '@utils/get-actor';
  * @property {boolean} [sendMessage=true]    Whether the message should be sent
  * @property {boolean} [unlimitedPush=false] Whether to allow unlimited roll pushes
  * @property {boolean} [disabledPush=false]  Whether to disable the ability to set the max. push
+ * @property {string}  [actionId]            The ID of the actor action that triggered the roll, if any
+ * @property {import('@components/opposed-roll/opposed-roll').OpposedRollData} [opposed]
+ *   The opposed roll this roll is part of, if any
 */
 
 /**
@@ -152,6 +169,55 @@ export default class BRRollHandler extends FormApplication {
      */
     this.crit = options.crit ?? this.item?.attacks?.[0]?.crit;
 
+    /**
+     * The name of the signature item that can be used for a bonus die, if any.
+     * @type {string|null}
+     */
+    this.signatureItem = canUseSignatureItem(this.actor) ? this.actor.system.signatureItem.name : null;
+
+    /**
+     * Whether to use the signature item for a bonus die.
+     * @type {boolean}
+     */
+    this.useSignatureItem = false;
+
+    /**
+     * The use of the signature item in this roll, if any.
+     * @type {import('@components/signature-item/signature-item').SignatureItemUse|null}
+     */
+    this.signatureItemUse = null;
+
+    /**
+     * The specialty effects of the actor that can be toggled for this roll.
+     * @type {import('@components/specialty/specialty-effects').ApplicableSpecialtyEffect[]}
+     */
+    this.specialtyEffects = getSpecialtyEffects(this.actor, { step: 'roll', attributeKey, skillKey });
+
+    /**
+     * The specialty effects used in this roll.
+     * @type {{ name: string, effect: string, label: string }[]}
+     */
+    this.specialtyUses = [];
+
+    /**
+     * The characters helping with this roll. Each one adds a die to the pool.
+     * @type {import('@components/assisted-roll/assisted-roll').RollHelper[]}
+     */
+    this.helpers = [];
+
+    /**
+     * The help request posted in the chat for this roll, if any.
+     * @type {{ id: string, messageId: string }|null}
+     */
+    this.helpRequest = null;
+
+    /**
+     * The ID of the hook listening to the help offers.
+     * @type {number}
+     * @private
+     */
+    this._helpHookId = null;
+
     this.options.sendMessage = options.sendMessage ?? true;
     this.options.unlimitedPush = !!options.unlimitedPush;
     this.options.disabledPush = !!options.disabledPush;
@@ -168,7 +234,11 @@ export default class BRRollHandler extends FormApplication {
    * @type {number}
    */
   get modifier() {
-    return this._modifier + this.modifiers.reduce((sum, m) => sum + (m.active ? m.value : 0), 0);
+    const ignorePenalty = this.specialtyEffects.some(e => e.active && e.effect === SPECIALTY_EFFECTS.IGNORE_PENALTY);
+    return this._modifier + this.modifiers.reduce((sum, m) => {
+      if (!m.active || (ignorePenalty && m.value < 0)) return sum;
+      return sum + m.value;
+    }, 0);
   }
 
   set modifier(val) {
@@ -183,6 +253,14 @@ export default class BRRollHandler extends FormApplication {
     return this.dice.length < 2 || this.modifier < 0;
   }
 
+  /**
+   * Whether the dice pool can be rolled (it is not empty and has no zero die).
+   * @type {boolean}
+   */
+  get hasValidDice() {
+    return this.dice.length > 0 && !this.dice.includes('0');
+  }
+
   get isAttack() {
     return !!this.damage || [ITEM_TYPES.WEAPON, ITEM_TYPES.EXPLOSIVE].includes(this.item?.type);
   }
@@ -210,6 +288,14 @@ export default class BRRollHandler extends FormApplication {
     return this.options.template || `systems/${sysId}/templates/components/roll/roller.hbs`;
   }
 
+  /** @override */
+  async close(options) {
+    if (this._helpHookId != null) Hooks.off('createChatMessage', this._helpHookId);
+    this._helpHookId = null;
+    if (this.helpRequest) await closeHelpRequest(this.helpRequest.messageId);
+    return super.close(options);
+  }
+
   /* ------------------------------------------ */
   /*  Data Preparation                          */
   /* ------------------------------------------ */
@@ -230,6 +316,17 @@ export default class BRRollHandler extends FormApplication {
       attack: this.isAttack,
       damage: this.damage,
       damageType: this.damageType,
+      pushCapacity: this.options.disabledPush
+        ? null
+        : FLBR.capacitiesMap[getPushTraumaCapacity(this.actor, this.attributeKey)]?.label,
+      signatureItem: this.signatureItem,
+      useSignatureItem: this.useSignatureItem,
+      canAddSignatureDie: this.dice.length < FLBR.maxRolledDice,
+      specialtyEffects: this.specialtyEffects,
+      helpers: this.helpers,
+      helpRequest: this.helpRequest,
+      canRequestHelp: !!this.actor?.id && this.options.sendMessage,
+      canAddHelper: this.dice.length + this.helpers.length < FLBR.maxRolledDice,
       config: CONFIG.BLADE_RUNNER,
       options,
     };
@@ -308,8 +405,7 @@ export default class BRRollHandler extends FormApplication {
    */
   _validateForm(event, formData) {
     const nok = foundry.utils.isEmpty(formData)
-      || !this.dice.length
-      || this.dice.includes('0')
+      || !this.hasValidDice
       || !['roll', 'advantage', 'disadvantage'].includes(event.submitter.id);
     if (nok) {
       const msg = game.i18n.localize('WARNING.NoDiceInput');
@@ -344,6 +440,24 @@ export default class BRRollHandler extends FormApplication {
   /*  Roll Creation (YZUR)                      */
   /* ------------------------------------------ */
 
+  /**
+   * Rolls straight away with the active modifiers, without rendering the dialog.
+   * The advantage or disadvantage is applied as if its button was clicked.
+   * @returns {Promise.<ChatMessage|YearZeroRoll|undefined>} `undefined` if the dice pool is not valid
+   */
+  async quickRoll() {
+    if (!this.hasValidDice) {
+      ui.notifications.warn(game.i18n.localize('WARNING.NoDiceInput'));
+      return;
+    }
+    let buttonId = 'roll';
+    if (this.advantage && !this.disadvantage) buttonId = 'advantage';
+    else if (this.disadvantage && !this.advantage) buttonId = 'disadvantage';
+    return this.executeRoll(this._handleModifier(buttonId));
+  }
+
+  /* ------------------------------------------ */
+
   /**
    * Gets all the options that will be passed into the roll.
    * @returns {Object}
@@ -358,6 +472,10 @@ export default class BRRollHandler extends FormApplication {
       maxPush: unlimitedPush ? 1000 : this.maxPush,
       // type: this.options.type,
       attributeKey: this.attributeKey,
+      skillKey: this.skillKey,
+      actionId: this.options.actionId,
+      opposed: this.options.opposed,
+      pushCapacity: getPushTraumaCapacity(this.actor, this.attributeKey),
       alias: speaker.alias,
       actorId: speaker.actor,
       actorType: this.options.actorType || this.actor?.type,
@@ -373,6 +491,13 @@ export default class BRRollHandler extends FormApplication {
       isExplosive: this.item?.type === ITEM_TYPES.EXPLOSIVE,
       item: this.item?.name || this.items.map(i => i.name),
       itemId: this.item?.id || this.items.map(i => i.id),
+      signatureItem: this.signatureItemUse && {
+        ...this.signatureItemUse,
+        label: FLBR.signatureItemBenefits[this.signatureItemUse.benefit],
+      },
+      signatureReroll: canUseSignatureItem(this.actor),
+      specialties: this.specialtyUses,
+      helpers: this.helpers,
       yzur: true,
     };
   }
@@ -396,11 +521,37 @@ export default class BRRollHandler extends FormApplication {
         this.dice = this.dice.filter((_d, i) => i !== index);
       }
     }
+    // Each helper adds a die equal to the lowest die of the pool (helpers beyond the limit are dismissed).
+    this.helpers = this.helpers.slice(0, Math.max(FLBR.maxRolledDice - this.dice.length, 0));
+    for (let i = 0; i < this.helpers.length; i++) this.dice.push(Math.min(...this.dice));
+    // The signature item adds a bonus die equal to the lowest die of the pool.
+    if (this.useSignatureItem && this.dice.length < FLBR.maxRolledDice) {
+      this.signatureItemUse = await useSignatureItem(this.actor, SIGNATURE_ITEM_BENEFITS.DIE) ?? null;
+      if (this.signatureItemUse) this.dice.push(Math.min(...this.dice));
+    }
+    // Toggled specialty effects (the extra die works like the signature item's).
+    for (const effect of this.specialtyEffects.filter(e => e.active)) {
+      const canAddDie = this.dice.length < FLBR.maxRolledDice;
+      if (effect.effect === SPECIALTY_EFFECTS.EXTRA_DIE && !canAddDie) continue;
+      const use = await useSpecialtyEffect(this.actor, effect.id);
+      if (!use) continue;
+      if (use.effect === SPECIALTY_EFFECTS.EXTRA_DIE) this.dice.push(Math.min(...this.dice));
+      this.specialtyUses.push(use);
+    }
     const dice = this.dice.map(d => ({ term: `${d}`, number: 1 }));
     this.roll = YearZeroRoll.forge(dice, {}, this.getRollOptions());
 
     await this.roll.roll({ async: true });
 
+    /**
+     * A hook event that fires after a roll is made (or pushed) by an actor.
+     * @function bladeRunnerRoll
+     * @memberof hookEvents
+     * @param {YearZeroRoll} roll  The evaluated roll
+     * @param {Actor}        actor The actor who rolled
+     */
+    if (this.actor?.id) Hooks.callAll('bladeRunnerRoll', this.roll, this.actor);
+
     if (this.options.sendMessage) {
       const message = await this.roll.toMessage({
         speaker: this.createSpeaker(),
@@ -429,19 +580,33 @@ export default class BRRollHandler extends FormApplication {
     /** @type {YearZeroRoll} */
     const roll = message.rolls[0].duplicate();
 
+    const speakerData = message.speaker;
+    const speaker = this.getSpeaker(speakerData);
+
+    // Gets the specialty effects that can be toggled for the push.
+    const specialtyEffects = getSpecialtyEffects(speaker, {
+      step: 'push',
+      attributeKey: roll.options.attributeKey,
+      skillKey: roll.options.skillKey,
+    });
+
     // Checks whether to perform selective push.
     const doSelect = roll.dice.some(d =>
       d.faces >= 10 &&
       d.pushable &&
       d.values.some(v => v >= 6 && v < 10),
     );
-    if (doSelect) {
-      // 1. Ask for which dice to push and gets their indexes.
-      const pushSelections = await BRRollHandler.selectPush(roll.dice);
+    if (doSelect || specialtyEffects.length) {
+      // 1. Ask for which dice to push (and which specialty effects to use) and gets their indexes.
+      const pushSelections = await BRRollHandler.selectPush(doSelect ? roll.dice : [], specialtyEffects);
 
       // 2. Processes the inputs (checkboxes).
       if (pushSelections) {
         for (const el of pushSelections) {
+          if (el.dataset.specialty) {
+            specialtyEffects.find(e => e.id === el.dataset.specialty).active = el.checked;
+            continue;
+          }
           const [x, y] = el.name.split('.');
           const result = roll.dice[x].results.find(r => r.active && r.indexResult === Number(y));
           if (!result) throw new Error(`Push Selection | No result found for index ${el.name}`);
@@ -462,16 +627,30 @@ export default class BRRollHandler extends FormApplication {
       }
     }
 
+    // A specialty reroll replaces the push: one die is rolled again.
+    const reroll = specialtyEffects.find(e => e.active && e.effect === SPECIALTY_EFFECTS.REROLL);
+    if (reroll) return this.rerollWithSpecialty(message, reroll.id, { sendMessage });
+
     // Pushes the roll.
     await roll.push({ async: true });
 
+    // Applies the toggled specialty effects.
+    const specialtyUses = [];
+    for (const effect of specialtyEffects.filter(e => e.active)) {
+      if (effect.effect === SPECIALTY_EFFECTS.BANE_SUCCESS && !roll.baneCount) continue;
+      const use = await useSpecialtyEffect(speaker, effect.id);
+      if (!use) continue;
+      if (use.effect === SPECIALTY_EFFECTS.BANE_SUCCESS) turnBaneIntoSuccess(roll);
+      specialtyUses.push(use);
+    }
+    roll.options.specialties = [...(roll.options.specialties ?? []), ...specialtyUses];
+
     // Prepares the message.
     const flavor = message.flavor;
-    const speakerData = message.speaker;
-    const speaker = this.getSpeaker(speakerData);
 
     // Updates the actor with damage & stress from banes.
     if (speaker) await this.updateActor(roll, speaker);
+    if (speaker) Hooks.callAll('bladeRunnerRoll', roll, speaker);
 
     // Sends the message.
     if (sendMessage) {
@@ -497,27 +676,98 @@ export default class BRRollHandler extends FormApplication {
     return message;
   }
 
+  /**
+   * Rolls again one die of a roll in a chat message by using a specialty effect of its actor.
+   * The roll is not pushed: it inflicts no push trauma and can still be pushed afterwards.
+   * @param {ChatMessage} message            The message that contains the roll
+   * @param {string}      effectId           The identifier of the specialty effect: `<itemId>.<triggerId>`
+   * @param {boolean}    [sendMessage=true]  Whether to send the rerolled roll in a message
+   * @returns {Promise.<ChatMessage|YearZeroRoll|undefined>}
+   */
+  static async rerollWithSpecialty(message, effectId, { sendMessage = true } = {}) {
+    if (!message || !message.rolls.length) return;
+    const speaker = this.getSpeaker(message.speaker);
+
+    /** @type {YearZeroRoll} */
+    const roll = message.rolls[0].duplicate();
+    if (!await rerollOneDie(roll)) {
+      ui.notifications.warn('FLBR.SPECIALTY_EFFECT.NoDieToReroll', { localize: true });
+      game.messages.directory.updateMessage(message);
+      return;
+    }
+    const use = await useSpecialtyEffect(speaker, effectId);
+    if (!use) {
+      // Refresh the message to re-enable the push button.
+      game.messages.directory.updateMessage(message);
+      return;
+    }
+    roll.options.specialties = [...(roll.options.specialties ?? []), use];
+    if (speaker) Hooks.callAll('bladeRunnerRoll', roll, speaker);
+
+    if (sendMessage) {
+      const flavor = message.flavor;
+      const speakerData = message.speaker;
+      await message.delete();
+      return roll.toMessage({ flavor, speaker: speakerData });
+    }
+    return roll;
+  }
+
+  /**
+   * Rolls again a roll in a chat message by using the signature item of its actor.
+   * Rerolling does not inflict any push trauma.
+   * @param {ChatMessage} message The message that contains the roll to reroll
+   * @returns {Promise.<ChatMessage|undefined>}
+   */
+  static async rerollWithSignatureItem(message) {
+    if (!message || !message.rolls.length) return;
+    const speaker = this.getSpeaker(message.speaker);
+    const use = await useSignatureItem(speaker, SIGNATURE_ITEM_BENEFITS.REROLL);
+    if (!use) {
+      // Refresh the message to re-enable the button.
+      game.messages.directory.updateMessage(message);
+      return;
+    }
+
+    /** @type {YearZeroRoll} */
+    const roll = message.rolls[0];
+    const dice = roll.dice.map(d => ({ term: `${d.faces}`, number: d.number }));
+    const reroll = YearZeroRoll.forge(dice, {}, {
+      ...roll.options,
+      signatureItem: { ...use, label: FLBR.signatureItemBenefits[use.benefit] },
+      signatureReroll: false,
+    });
+    await reroll.roll({ async: true });
+    if (speaker) Hooks.callAll('bladeRunnerRoll', reroll, speaker);
+
+    const flavor = message.flavor;
+    const speakerData = message.speaker;
+    await message.delete();
+    return reroll.toMessage({ flavor, speaker: speakerData });
+  }
+
   /* ------------------------------------------ */
   /*  Update Actors after roll push             */
   /* ------------------------------------------ */
 
   /**
-   * Handles health and resolve damage to the actor.
+   * Handles health and resolve damage to the actor, and records the push in their push log.
    * @param {YearZeroRoll} roll
    * @param {ActorData} speaker
    */
   static async updateActor(roll, speaker) {
     if (roll.baneCount) await this.applyDamage(roll, speaker);
+    else if (speaker.type === ACTOR_TYPES.CHAR) await applyPushTrauma(speaker, roll);
   }
 
   /**
    * Applies health and resolve damage to the actor.
-   * @param {YearZeroRoll} roll (destructured)
+   * @param {YearZeroRoll} roll
    * @param {ActorData} speaker
    * @returns {Promise.<number>} Remaining capacity value
    */
-  static async applyDamage({ attributeTrauma, options: { attributeKey } }, speaker) {
-    const currentDamage = attributeTrauma;
+  static async applyDamage(roll, speaker) {
+    const attributeKey = roll.options.attributeKey;
 
     const nature = speaker?.system.nature;
     if (!nature) {
@@ -525,7 +775,7 @@ export default class BRRollHandler extends FormApplication {
     }
 
     // The nature & attribute key define which ActorCapacity (health or resolve) is affected.
-    const cap = FLBR.pushTraumaMap[nature]?.[attributeKey];
+    const cap = getPushTraumaCapacity(speaker, attributeKey);
     if (!cap) {
       console.error(`FLBR | ApplyDamageNoCapacityKey → nature: ${nature}, attributeKey: ${attributeKey}`);
       return ui.notifications.error('WARNING.ApplyDamageNoCapacityKey', { localize: true });
@@ -537,18 +787,8 @@ export default class BRRollHandler extends FormApplication {
       return ui.notifications.error('WARNING.ApplyDamageNoActorCapacity', { localize: true });
     }
 
-    // TODO await this.modifyWillpower(speaker, currentDamage)
-
-    // eslint-disable-next-line prefer-const
-    let { value, max } = capacity;
-    value = Math.clamped(value - currentDamage, 0, max);
-
-    if (value === 0) {
-      ui.notifications.info('FLBR.YouAreBroken', { localize: true });
-    }
-
-    await speaker.update({ [`system.${cap}.value`]: value });
-    return value;
+    const trauma = await applyPushTrauma(speaker, roll);
+    return trauma?.remaining ?? capacity.value;
   }
 
   /* ------------------------------------------ */
@@ -629,6 +869,34 @@ export default class BRRollHandler extends FormApplication {
       return this.render();
     });
 
+    // Listens to Specialty Effect checkboxes.
+    html.find('.specialty-effects input[type=checkbox]').on('click', ev => {
+      const effect = this.specialtyEffects.find(e => e.id === ev.currentTarget.dataset.id);
+      if (!effect) return;
+      effect.active = ev.currentTarget.checked;
+      return this.render();
+    });
+
+    // Listens to the help buttons.
+    html.find('.request-help').on('click', async ev => {
+      ev.preventDefault();
+      ev.currentTarget.disabled = true;
+      if (!await requestHelp(this)) return this.render();
+      this._helpHookId ??= Hooks.on('createChatMessage', message => {
+        if (onHelpOffer(this, message)) this.render();
+      });
+      return this.render();
+    });
+    html.find('.add-helper').on('click', async ev => {
+      ev.preventDefault();
+      if (await chooseRollHelper(this)) return this.render();
+    });
+    html.find('.remove-helper').on('click', ev => {
+      ev.preventDefault();
+      this.helpers.splice(Number(ev.currentTarget.dataset.index), 1);
+      return this.render();
+    });
+
     // We need to bind the cancel button to the FormApplication's close method.
     // html.find('#cancel').click(() => {
     //   this.close({ submit: false });
@@ -655,8 +923,8 @@ export default class BRRollHandler extends FormApplication {
         if (roll instanceof Roll) {
           if (roller.message && game.dice3d && game.dice3d.isEnabled()) {
             await game.dice3d.waitFor3DAnimationByMessageID(roller.messageId);
-            resolve(roll);
           }
+          resolve(roll);
         }
         else {
           reject(new Error('The dialog was closed without a choice being made.'));
@@ -694,17 +962,18 @@ export default class BRRollHandler extends FormApplication {
   /* ------------------------------------------ */
 
   /**
-   * Displays a dialog for choosing the dice to push.
+   * Displays a dialog for choosing the dice to push, and the specialty effects to use.
    * @see {@link Dialog}
    * @param {Object.<string, DiceTerm>} dice
+   * @param {import('@components/specialty/specialty-effects').ApplicableSpecialtyEffect[]} [specialtyEffects]
    * @returns {Promise.<HTMLInputElement[]>}
    */
-  static async selectPush(dice) {
+  static async selectPush(dice, specialtyEffects = []) {
     return Dialog.wait({
       title: game.i18n.localize('FLBR.ROLLER.SelectDiceToPush'),
       content: await renderTemplate(
         'systems/blade-runner/templates/components/roll/roll-push-select-dialog.hbs',
-        { dice },
+        { dice, specialtyEffects },
       ),
       buttons: {
         ok: {
@@ -0,0 +1,184 @@
+import { FLBR } from '@system/config';
+import { ACTOR_TYPES, ITEM_TYPES } from '@system/constants';
+import Modifier from '@components/item-modifier';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ * @typedef {import('@item/item-document').default} BladeRunnerItem
+ */
+
+/**
+ * A lasting effect of a permanent injury, which persists after the injury has healed.
+ * @typedef {Object} Scar
+ * @property {string} id         The identifier of the scar
+ * @property {string} injuryId   The ID of the injury that caused the scar
+ * @property {string} injury     The name of the injury that caused the scar
+ * @property {string} key        The stat affected, e.g. `attribute.str`, `capacity.health` or `skill.force`
+ * @property {number} value      The number of steps down (attribute), the points lost (capacity)
+ *   or the penalty (skill)
+ * @property {number} timestamp  The time when the scar was received
+ */
+
+/**
+ * The die scores of the attributes, from the lowest to the highest (D, C, B, A).
+ * @type {number[]}
+ */
+const SCORE_STEPS = Array.from(FLBR.scoreMap.values()).filter(v => v > 0).sort((a, b) => a - b);
+
+/* ------------------------------------------ */
+/*  Scar Effects                              */
+/* ------------------------------------------ */
+
+/**
+ * Gets the scars of an actor affecting a category of stats.
+ * @param {BladeRunnerActor} actor
+ * @param {string}           category  `attribute`, `capacity` or `skill`
+ * @returns {Scar[]}
+ */
+function getScarsByCategory(actor, category) {
+  return (actor.system.scars ?? []).filter(s => s.key.split('.')[0] === category);
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Applies the step-downs of the scars to an attribute score.
+ * The score cannot go below the lowest die.
+ * @param {BladeRunnerActor} actor
+ * @param {string}           attributeKey
+ * @param {number}           score         The die score of the attribute
+ * @returns {number} The scarred die score
+ */
+export function getScarredAttribute(actor, attributeKey, score) {
+  if (!score) return score;
+  const steps = getScarsByCategory(actor, 'attribute')
+    .filter(s => s.key === `attribute.${attributeKey}`)
+    .reduce((sum, s) => sum + s.value, 0);
+  if (!steps) return score;
+  const index = Math.max(0, SCORE_STEPS.indexOf(score) - steps);
+  return SCORE_STEPS[index] ?? score;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Gets the capacity losses and skill penalties of the scars, as modifiers.
+ * @param {BladeRunnerActor} actor
+ * @param {import('@components/item-modifier').ModifierFilterOptions} [options] Filtering options
+ * @returns {Modifier[]}
+ */
+export function getScarModifiers(actor, options = {}) {
+  if (!actor.system.scars?.length) return [];
+  const description = game.i18n.localize('FLBR.SCARS.ModifierHint');
+  const modifiers = [...getScarsByCategory(actor, 'capacity'), ...getScarsByCategory(actor, 'skill')]
+    .map(s => new Modifier(s.key, -s.value, {}, {
+      active: true,
+      name: `${s.injury} (${game.i18n.localize('FLBR.SCARS.Scar')})`,
+      type: ITEM_TYPES.CRITICAL_INJURY,
+      description,
+    }));
+  return Modifier.filterModifiers(modifiers, options);
+}
+
+/* ------------------------------------------ */
+/*  Receiving & Removing Scars                */
+/* ------------------------------------------ */
+
+/**
+ * Records the lasting effects of a permanent injury as scars of the injured character.
+ * Each scar of the injury is recorded once: the ones already recorded are kept, the new ones are added,
+ * and (for the GM only) the ones removed from the injury are dropped, so that editing the scars
+ * keeps the character in sync. Players cannot reverse scars, see `removeScar`.
+ * @param {BladeRunnerActor} actor
+ * @param {BladeRunnerItem}  injury
+ * @returns {Promise.<Scar[]>} The new scars
+ */
+export async function applyScars(actor, injury) {
+  if (actor?.type !== ACTOR_TYPES.CHAR || injury.type !== ITEM_TYPES.CRITICAL_INJURY) return [];
+  if (!injury.system.permanent) return [];
+
+  const current = actor._source.system.scars;
+  const recorded = current.filter(s => s.injuryId === injury.id);
+  const kept = [];
+
+  /** @type {Scar[]} */
+  const scars = [];
+  for (const effect of injury.system.scars ?? []) {
+    const match = recorded.find(s => !kept.includes(s) && s.key === effect.key && s.value === effect.value);
+    if (match) {
+      kept.push(match);
+      continue;
+    }
+    scars.push({
+      id: foundry.utils.randomID(),
+      injuryId: injury.id,
+      injury: injury.name,
+      key: effect.key,
+      value: effect.value,
+      timestamp: Date.now(),
+    });
+  }
+  const dropped = game.user.isGM ? recorded.filter(s => !kept.includes(s)) : [];
+  if (!scars.length && !dropped.length) return [];
+
+  await actor.update({ 'system.scars': [...current.filter(s => !dropped.includes(s)), ...scars] });
+  if (scars.length) {
+    ui.notifications.info(game.i18n.format('FLBR.SCARS.Received', { name: actor.name, injury: injury.name }));
+  }
+  return scars;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Removes a scar from a character (GM only).
+ * @param {BladeRunnerActor} actor
+ * @param {string}           scarId
+ * @returns {Promise.<BladeRunnerActor|undefined>}
+ */
+export async function removeScar(actor, scarId) {
+  if (!game.user.isGM) return;
+  const scar = actor.system.scars.find(s => s.id === scarId);
+  if (!scar) return;
+
+  const ok = await Dialog.confirm({
+    title: game.i18n.localize('FLBR.SCARS.Remove'),
+    content: `<p>${game.i18n.format('FLBR.SCARS.RemoveHint', {
+      name: actor.name,
+      scar: `${scar.injury} (${getScarLabel(scar)})`,
+    })}</p>`,
+    defaultYes: false,
+  });
+  if (!ok) return;
+
+  return actor.update({ 'system.scars': actor._source.system.scars.filter(s => s.id !== scarId) });
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Gets the localized label of the effect of a scar.
+ * @param {{ key: string, value: number }} scar
+ * @returns {string}
+ */
+export function getScarLabel(scar) {
+  const [category, target] = scar.key.split('.');
+  switch (category) {
+    case 'attribute':
+      return game.i18n.format('FLBR.SCARS.AttributeStepDown', {
+        attribute: game.i18n.localize(`FLBR.ATTRIBUTE.${target.toUpperCase()}`),
+        value: scar.value,
+      });
+    case 'capacity':
+      return game.i18n.format('FLBR.SCARS.CapacityLoss', {
+        capacity: game.i18n.localize(FLBR.capacitiesMap[target]?.label ?? target),
+        value: scar.value,
+      });
+    case 'skill':
+      return game.i18n.format('FLBR.SCARS.SkillPenalty', {
+        skill: game.i18n.localize(`FLBR.SKILL.${target.capitalize()}`),
+        value: scar.value,
+      });
+  }
+  return scar.key;
+}
@@ -0,0 +1,96 @@
+import { FLBR } from '@system/config';
+import { ACTOR_SUBTYPES, ACTOR_TYPES, SIGNATURE_ITEM_BENEFITS, SYSTEM_ID } from '@system/constants';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ */
+
+/**
+ * @typedef {Object} SignatureItemUse
+ * @property {string} name     The name of the signature item
+ * @property {string} benefit  The benefit gained (see `SIGNATURE_ITEM_BENEFITS`)
+ */
+
+/* ------------------------------------------ */
+
+/**
+ * Checks whether an actor can use their signature item (once per session).
+ * @param {BladeRunnerActor} actor
+ * @returns {boolean}
+ */
+export function canUseSignatureItem(actor) {
+  return actor?.type === ACTOR_TYPES.CHAR
+    && actor.system.subtype === ACTOR_SUBTYPES.PC
+    && !!actor.system.signatureItem?.name
+    && !actor.system.signatureItem.used;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Marks the signature item of an actor as used.
+ * @param {BladeRunnerActor} actor
+ * @param {string}           benefit  The benefit gained (see `SIGNATURE_ITEM_BENEFITS`)
+ * @returns {Promise.<SignatureItemUse|undefined>} `undefined` if the item could not be used
+ */
+export async function useSignatureItem(actor, benefit) {
+  if (!canUseSignatureItem(actor)) {
+    ui.notifications.warn(game.i18n.format('FLBR.SIGNATURE_ITEM.CannotUse', { name: actor?.name }));
+    return;
+  }
+  /** @type {SignatureItemUse} */
+  const use = { name: actor.system.signatureItem.name, benefit };
+
+  /**
+   * A hook event that fires before a signature item is used.
+   * @function bladeRunnerPreSignatureItem
+   * @memberof hookEvents
+   * @param {BladeRunnerActor} actor The actor using their signature item
+   * @param {SignatureItemUse} use   The use of the signature item
+   * @returns {boolean} Explicitly return `false` to prevent the use
+   */
+  if (Hooks.call('bladeRunnerPreSignatureItem', actor, use) === false) return;
+
+  await actor.update({ 'system.signatureItem.used': true });
+  Hooks.callAll('bladeRunnerSignatureItem', actor, use);
+  return use;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Invokes the signature item of an actor from their sheet, and announces it in the chat.
+ * @param {BladeRunnerActor} actor
+ * @returns {Promise.<ChatMessage|undefined>}
+ */
+export async function invokeSignatureItem(actor) {
+  const use = await useSignatureItem(actor, SIGNATURE_ITEM_BENEFITS.INVOKE);
+  if (!use) return;
+
+  const template = `systems/${SYSTEM_ID}/templates/components/signature-item/signature-item-chatcard.hbs`;
+  const content = await renderTemplate(template, {
+    name: actor.name,
+    use,
+    benefit: FLBR.signatureItemBenefits[use.benefit],
+  });
+  return ChatMessage.create({
+    content,
+    speaker: ChatMessage.getSpeaker({ actor }),
+  });
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Makes the signature items of all the player characters available again (active GM only).
+ * Called when a new game session starts.
+ * @returns {Promise.<Actor[]|undefined>}
+ */
+export async function resetSignatureItems() {
+  if (!game.users.activeGM?.isSelf) return;
+  const updates = game.actors
+    .filter(a => a.type === ACTOR_TYPES.CHAR && a.system.signatureItem?.used)
+    .map(a => ({ _id: a.id, 'system.signatureItem.used': false }));
+  if (!updates.length) return;
+  return Actor.updateDocuments(updates);
+}
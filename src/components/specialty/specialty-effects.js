@@ -0,0 +1,166 @@
+import { FLBR } from '@system/config';
+import { ACTOR_TYPES, ITEM_TYPES } from '@system/constants';
+import { getCurrentSession } from '@system/session';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ * @typedef {import('@item/item-document').default} BladeRunnerItem
+ * @typedef {import('yzur').YearZeroRoll} YearZeroRoll
+ */
+
+/**
+ * A triggered effect of a specialty, stored in the `system.triggers` object of the specialty.
+ * @typedef {Object} SpecialtyTrigger
+ * @property {string} target   The stat that triggers the effect, e.g. `attribute.agi` or `skill.firearms`
+ *   (empty for any roll)
+ * @property {string} effect   The effect (see `SPECIALTY_EFFECTS`)
+ * @property {number} uses     The number of uses per session (`0` for unlimited)
+ * @property {string} session  The ID of the game session of the last use
+ * @property {number} used     The number of uses during that session
+ */
+
+/**
+ * A specialty effect applicable to a roll.
+ * @typedef {Object} ApplicableSpecialtyEffect
+ * @property {string}  id         The identifier of the effect: `<itemId>.<triggerId>`
+ * @property {string}  name       The name of the specialty
+ * @property {string}  effect     The effect (see `SPECIALTY_EFFECTS`)
+ * @property {string}  label      The label of the effect
+ * @property {number}  remaining  The remaining uses during the current session
+ * @property {boolean} active     Whether the effect is toggled on
+ */
+
+/* ------------------------------------------ */
+/*  Specialty Triggers                        */
+/* ------------------------------------------ */
+
+/**
+ * Gets the remaining uses of a specialty trigger during the current game session.
+ * @param {SpecialtyTrigger} trigger
+ * @returns {number}
+ */
+export function getRemainingUses(trigger) {
+  const uses = +trigger.uses || 0;
+  if (!uses) return Infinity;
+  if (trigger.session !== getCurrentSession().id) return uses;
+  return Math.max(0, uses - (+trigger.used || 0));
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Gets the specialty effects of an actor that are applicable to a roll.
+ * @param {BladeRunnerActor} actor
+ * @param {Object}   options
+ * @param {string}   options.step            `roll` (in the roll dialog) or `push` (when pushing)
+ * @param {string}  [options.attributeKey]   The attribute rolled
+ * @param {string}  [options.skillKey]       The skill rolled
+ * @returns {ApplicableSpecialtyEffect[]}
+ */
+export function getSpecialtyEffects(actor, { step, attributeKey, skillKey }) {
+  if (actor?.type !== ACTOR_TYPES.CHAR) return [];
+  const targets = ['', `attribute.${attributeKey}`, `skill.${skillKey}`];
+  const effects = [];
+  for (const item of actor.itemTypes[ITEM_TYPES.SPECIALTY]) {
+    for (const [triggerId, trigger] of Object.entries(item.system.triggers ?? {})) {
+      const config = FLBR.specialtyEffects[trigger.effect];
+      if (config?.step !== step || !targets.includes(trigger.target ?? '')) continue;
+      const remaining = getRemainingUses(trigger);
+      if (!remaining) continue;
+      effects.push({
+        id: `${item.id}.${triggerId}`,
+        name: item.name,
+        effect: trigger.effect,
+        label: config.label,
+        remaining,
+        active: false,
+      });
+    }
+  }
+  return effects;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Uses a specialty effect, which counts against its usage limit for the current game session.
+ * @param {BladeRunnerActor} actor
+ * @param {string}           id     The identifier of the effect: `<itemId>.<triggerId>`
+ * @returns {Promise.<{ name: string, effect: string, label: string }|undefined>}
+ *   `undefined` if the effect could not be used
+ */
+export async function useSpecialtyEffect(actor, id) {
+  const [itemId, triggerId] = id.split('.');
+  const item = actor?.items.get(itemId);
+  /** @type {SpecialtyTrigger} */
+  const trigger = item?.system.triggers?.[triggerId];
+  if (!trigger || !getRemainingUses(trigger)) {
+    ui.notifications.warn(game.i18n.format('FLBR.SPECIALTY_EFFECT.CannotUse', { name: item?.name ?? id }));
+    return;
+  }
+
+  const session = getCurrentSession().id;
+  const used = trigger.session === session ? (+trigger.used || 0) + 1 : 1;
+  await item.update({ [`system.triggers.${triggerId}`]: { session, used } });
+
+  const use = {
+    name: item.name,
+    effect: trigger.effect,
+    label: FLBR.specialtyEffects[trigger.effect].label,
+  };
+  /**
+   * A hook event that fires after a specialty effect is used.
+   * @function bladeRunnerSpecialtyEffect
+   * @memberof hookEvents
+   * @param {BladeRunnerActor} actor The actor using the specialty
+   * @param {BladeRunnerItem}  item  The specialty
+   * @param {{ name: string, effect: string, label: string }} use The use of the effect
+   */
+  Hooks.callAll('bladeRunnerSpecialtyEffect', actor, item, use);
+  return use;
+}
+
+/* ------------------------------------------ */
+/*  Specialty Effects on Rolls                */
+/* ------------------------------------------ */
+
+/**
+ * Makes one bane of a roll count as a success, by turning its result into the lowest success.
+ * @param {YearZeroRoll} roll
+ * @returns {boolean} Whether a bane was turned into a success
+ */
+export function turnBaneIntoSuccess(roll) {
+  for (const die of roll.dice) {
+    const result = die.results.find(r => r.active && r.result === 1);
+    if (!result) continue;
+    result.result = 6;
+    result.specialty = true;
+    roll._total = roll._evaluateTotal();
+    return true;
+  }
+  return false;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Rolls again one die of a roll: the one with the lowest result that is not a success.
+ * @param {YearZeroRoll} roll
+ * @returns {Promise.<boolean>} Whether a die was rolled again
+ */
+export async function rerollOneDie(roll) {
+  let worst;
+  for (const die of roll.dice) {
+    for (const result of die.results) {
+      if (!result.active || result.result >= 6) continue;
+      if (!worst || result.result < worst.result.result) worst = { die, result };
+    }
+  }
+  if (!worst) return false;
+
+  const reroll = await new Roll(`1d${worst.die.faces}`).evaluate({ async: true });
+  worst.result.result = reroll.total;
+  worst.result.specialty = true;
+  roll._total = roll._evaluateTotal();
+  return true;
+}
@@ -0,0 +1,137 @@
+import { FLBR } from '@system/config';
+import { ACTOR_TYPES, COMBAT_ACTIONS, SKILLS, STATUS_EFFECTS } from '@system/constants';
+import Modifier from '@components/item-modifier';
+import { isDying } from '@components/death-save/death-save';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ * @typedef {import('yzur').YearZeroRoll} YearZeroRoll
+ */
+
+/* ------------------------------------------ */
+/*  Registration                              */
+/* ------------------------------------------ */
+
+/**
+ * Registers the status effects of the system in the token HUD,
+ * in place of the core ones with the same ID.
+ */
+export function registerStatusEffects() {
+  const ids = FLBR.statusEffects.map(s => s.id);
+  CONFIG.statusEffects = [
+    ...FLBR.statusEffects.map(({ modifiers: _modifiers, ...effect }) => effect),
+    ...CONFIG.statusEffects.filter(s => !ids.includes(s.id)),
+  ];
+}
+
+/* ------------------------------------------ */
+/*  Status Management                         */
+/* ------------------------------------------ */
+
+/**
+ * Applies or removes a status effect on an actor.
+ * @param {BladeRunnerActor} actor
+ * @param {string}           statusId  The ID of the status (see `STATUS_EFFECTS`)
+ * @param {boolean}         [active]   Whether to apply or remove the status, toggles it by default
+ * @returns {Promise.<boolean>} Whether the status is active
+ */
+export async function toggleStatus(actor, statusId, active) {
+  const has = actor.statuses.has(statusId);
+  active ??= !has;
+  if (active === has) return has;
+
+  if (active) {
+    const effect = CONFIG.statusEffects.find(s => s.id === statusId);
+    if (!effect) return false;
+    await ActiveEffect.implementation.create({
+      name: game.i18n.localize(effect.name),
+      icon: effect.icon,
+      statuses: [statusId],
+    }, { parent: actor });
+  }
+  else {
+    const ids = actor.effects.filter(e => e.statuses.has(statusId)).map(e => e.id);
+    await actor.deleteEmbeddedDocuments('ActiveEffect', ids);
+  }
+  return active;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Applies or removes the statuses that depend on the state of an actor:
+ * broken characters, wrecked vehicles and dying characters.
+ * @param {BladeRunnerActor} actor
+ * @returns {Promise.<void>}
+ */
+export async function syncStatuses(actor) {
+  switch (actor.type) {
+    case ACTOR_TYPES.CHAR:
+      await toggleStatus(actor, STATUS_EFFECTS.BROKEN, actor.isBroken);
+      await toggleStatus(actor, STATUS_EFFECTS.DYING, isDying(actor));
+      break;
+    case ACTOR_TYPES.VEHICLE:
+      await toggleStatus(actor, STATUS_EFFECTS.WRECKED, actor.isBroken);
+      break;
+  }
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Gets the roll modifiers carried by the statuses of an actor.
+ * @param {BladeRunnerActor} actor
+ * @param {import('@components/item-modifier').ModifierFilterOptions} [options] Filtering options
+ * @returns {Modifier[]}
+ */
+export function getStatusModifiers(actor, options = {}) {
+  if (!actor.statuses?.size) return [];
+  const modifiers = [];
+  for (const effect of FLBR.statusEffects) {
+    if (!actor.statuses.has(effect.id)) continue;
+    const label = game.i18n.localize(effect.name);
+    for (const [key, value] of Object.entries(effect.modifiers)) {
+      modifiers.push(new Modifier(key, value, {}, { active: true, name: label, type: 'status', description: label }));
+    }
+  }
+  return Modifier.filterModifiers(modifiers, options);
+}
+
+/* ------------------------------------------ */
+/*  Automation                                */
+/* ------------------------------------------ */
+
+/**
+ * Applies and removes the statuses affected by a roll.
+ * - Attacking reveals a hidden character, and firing spends the aim.
+ * - A successful grapple grapples the targets, and breaking free removes the grapple.
+ * @param {YearZeroRoll}     roll
+ * @param {BladeRunnerActor} actor  The actor who rolled
+ * @returns {Promise.<void>}
+ */
+export async function onRollStatuses(roll, actor) {
+  if (!actor?.isOwner || !actor.statuses) return;
+  const { actionId, skillKey } = roll.options;
+
+  if (skillKey === SKILLS.FIREARMS) await toggleStatus(actor, STATUS_EFFECTS.AIMING, false);
+  if ([SKILLS.CLOSE_COMBAT, SKILLS.FIREARMS].includes(skillKey)) {
+    await toggleStatus(actor, STATUS_EFFECTS.HIDDEN, false);
+  }
+
+  if (!roll.successCount) return;
+  switch (actionId) {
+    case COMBAT_ACTIONS.GRAPPLE:
+      for (const token of game.user.targets) {
+        if (!token.actor) continue;
+        if (!token.actor.isOwner) {
+          ui.notifications.warn(game.i18n.format('FLBR.STATUS.NoPermission', { name: token.name }));
+          continue;
+        }
+        await toggleStatus(token.actor, STATUS_EFFECTS.GRAPPLED, true);
+      }
+      break;
+    case COMBAT_ACTIONS.BREAK_FREE:
+      await toggleStatus(actor, STATUS_EFFECTS.GRAPPLED, false);
+      break;
+  }
+}
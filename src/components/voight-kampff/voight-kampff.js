@@ -0,0 +1,305 @@
+import { FLBR } from '@system/config';
+import { ACTOR_TYPES, SYSTEM_ID } from '@system/constants';
+import BRRollHandler from '@components/roll/roller';
+
+/**
+ * @typedef {import('@actor/actor-document').default} BladeRunnerActor
+ * @typedef {import('yzur').YearZeroRoll} YearZeroRoll
+ */
+
+/**
+ * @typedef {Object} InterrogationRound
+ * @property {number} number       The number of the round
+ * @property {string} question     The skill rolled by the interrogator
+ * @property {string} resistance   The skill or attribute rolled by the subject
+ * @property {number} interrogator The successes of the interrogator
+ * @property {number} subject      The successes of the subject
+ * @property {number} tells        The tells shown by the subject during the round
+ */
+
+/* ------------------------------------------ */
+/*  Helper Methods                            */
+/* ------------------------------------------ */
+
+/**
+ * Gets the label of a skill or an attribute.
+ * @param {string} key
+ * @returns {string} Translation key
+ */
+function getStatLabel(key) {
+  return key in FLBR.skillMap
+    ? `FLBR.SKILL.${key.capitalize()}`
+    : `FLBR.ATTRIBUTE.${key.toUpperCase()}`;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Rolls a skill (with its attribute) or an attribute alone, and waits for the result.
+ * @param {BladeRunnerActor} actor
+ * @param {string}           key       The skill or the attribute
+ * @param {Object}          [options]  Options for the roll handler
+ * @returns {Promise.<YearZeroRoll|undefined>} `undefined` if the roll was cancelled
+ */
+async function rollStat(actor, key, options = {}) {
+  const skillKey = key in FLBR.skillMap ? key : null;
+  const attributeKey = skillKey ? FLBR.skillMap[skillKey] : key;
+  const targets = skillKey ? [attributeKey, skillKey] : [attributeKey];
+  const title = `${game.i18n.localize('FLBR.VOIGHT_KAMPFF.Title')} (${game.i18n.localize(getStatLabel(key))})`;
+  try {
+    return await BRRollHandler.waitForRoll({
+      title: `${actor.name}: ${title}`,
+      actor,
+      attributeKey,
+      skillKey,
+      dice: [actor.getAttribute(attributeKey), skillKey ? actor.getSkill(skillKey) : 0].filter(Boolean),
+      modifiers: actor.getRollModifiers({ targets }),
+      maxPush: 0,
+    }, {
+      disabledPush: true,
+      ...options,
+    });
+  }
+  catch (err) {
+    // The dialog was closed without rolling.
+    return;
+  }
+}
+
+/* ------------------------------------------ */
+/*  Voight-Kampff Application                 */
+/* ------------------------------------------ */
+
+/**
+ * A GM application for running a Voight-Kampff interrogation:
+ * a sequence of question rounds opposing an interrogator and a subject,
+ * where the subject may show tells depending on their true nature.
+ * The interrogation ends with a verdict posted in the chat.
+ * @extends {FormApplication}
+ */
+export default class VoightKampffApp extends FormApplication {
+  constructor(options = {}) {
+    super({}, options);
+
+    /**
+     * The state of the interrogation.
+     * @type {{ interrogator: string, subject: string, question: string, resistance: string,
+     *   rounds: InterrogationRound[] }}
+     */
+    this.interrogation = this.constructor.getInitialState();
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  static get defaultOptions() {
+    const sysId = game.system.id || SYSTEM_ID;
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${sysId}-voight-kampff`,
+      title: game.i18n.localize('FLBR.VOIGHT_KAMPFF.Title'),
+      template: `systems/${sysId}/templates/components/voight-kampff/voight-kampff.hbs`,
+      classes: [sysId, 'voight-kampff'],
+      width: 480,
+      height: 'auto',
+      closeOnSubmit: false,
+      submitOnChange: true,
+    });
+  }
+
+  /**
+   * @returns {{ interrogator: string, subject: string, question: string, resistance: string,
+   *   rounds: InterrogationRound[] }}
+   */
+  static getInitialState() {
+    return {
+      interrogator: game.user.character?.id ?? '',
+      subject: '',
+      question: FLBR.voightKampff.questions[0],
+      resistance: FLBR.voightKampff.resistances[0],
+      rounds: [],
+    };
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * The interrogating character.
+   * @type {BladeRunnerActor|undefined}
+   * @readonly
+   */
+  get interrogator() {
+    return game.actors.get(this.interrogation.interrogator);
+  }
+
+  /**
+   * The interrogated character.
+   * @type {BladeRunnerActor|undefined}
+   * @readonly
+   */
+  get subject() {
+    return game.actors.get(this.interrogation.subject);
+  }
+
+  /**
+   * The total number of tells shown by the subject.
+   * @type {number}
+   * @readonly
+   */
+  get tells() {
+    return this.interrogation.rounds.reduce((sum, r) => sum + r.tells, 0);
+  }
+
+  /**
+   * Whether the interrogation is over.
+   * @type {boolean}
+   * @readonly
+   */
+  get isOver() {
+    return this.tells >= FLBR.voightKampff.threshold
+      || this.interrogation.rounds.length >= FLBR.voightKampff.maxRounds;
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  render(force, options) {
+    if (!game.user.isGM) return this;
+    return super.render(force, options);
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  getData(options) {
+    const characters = game.actors.filter(a => a.type === ACTOR_TYPES.CHAR);
+    const toChoices = keys => Object.fromEntries(keys.map(k => [k, getStatLabel(k)]));
+    const tells = this.tells;
+    const threshold = FLBR.voightKampff.threshold;
+    return {
+      interrogation: this.interrogation,
+      characters: Object.fromEntries(characters.map(a => [a.id, a.name])),
+      questions: toChoices(FLBR.voightKampff.questions),
+      resistances: toChoices(FLBR.voightKampff.resistances),
+      nature: this.subject ? FLBR.natures[this.subject.system.nature] : null,
+      rounds: this.interrogation.rounds.map(r => ({
+        ...r,
+        question: getStatLabel(r.question),
+        resistance: getStatLabel(r.resistance),
+      })),
+      meter: Array.fromRange(threshold).map(i => i < tells),
+      tells,
+      threshold,
+      maxRounds: FLBR.voightKampff.maxRounds,
+      started: this.interrogation.rounds.length > 0,
+      isOver: this.isOver,
+      canAsk: !!(this.interrogator && this.subject) && !this.isOver,
+      options,
+    };
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('[data-action]').click(this._onAction.bind(this));
+  }
+
+  /**
+   * @param {MouseEvent} event
+   * @private
+   */
+  async _onAction(event) {
+    event.preventDefault();
+    await this._onSubmit(event, { preventRender: true });
+    switch (event.currentTarget.dataset.action) {
+      case 'ask': await this.askQuestion(); break;
+      case 'verdict': await this.postVerdict(); break;
+      case 'reset': this.interrogation = this.constructor.getInitialState(); break;
+    }
+    this.render();
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  async _updateObject(_event, formData) {
+    // The characters cannot be changed once the interrogation has started.
+    if (this.interrogation.rounds.length) {
+      delete formData.interrogator;
+      delete formData.subject;
+    }
+    foundry.utils.mergeObject(this.interrogation, formData);
+    this.render();
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Runs a question round: the interrogator's question is opposed by the subject's resistance.
+   * The subject shows tells when the interrogator wins by a margin that depends on their true nature.
+   * @returns {Promise.<InterrogationRound|undefined>}
+   */
+  async askQuestion() {
+    const { interrogator, subject } = this;
+    if (!interrogator || !subject || this.isOver) return;
+
+    const { question, resistance } = this.interrogation;
+    const questionRoll = await rollStat(interrogator, question);
+    if (!questionRoll) return;
+    const resistanceRoll = await rollStat(subject, resistance, { rollMode: CONST.DICE_ROLL_MODES.PRIVATE });
+    if (!resistanceRoll) return;
+
+    const margin = questionRoll.successCount - resistanceRoll.successCount;
+    const tellMargin = FLBR.voightKampff.tellMargin[subject.system.nature] ?? 1;
+
+    /** @type {InterrogationRound} */
+    const round = {
+      number: this.interrogation.rounds.length + 1,
+      question,
+      resistance,
+      interrogator: questionRoll.successCount,
+      subject: resistanceRoll.successCount,
+      tells: margin > 0 ? Math.floor(margin / tellMargin) : 0,
+    };
+    this.interrogation.rounds.push(round);
+    return round;
+  }
+
+  /* ------------------------------------------ */
+
+  /**
+   * Posts the verdict of the interrogation in the chat.
+   * The verdict only relies on the tells, the true nature of the subject is never revealed.
+   * @returns {Promise.<ChatMessage|undefined>}
+   */
+  async postVerdict() {
+    const { interrogator, subject } = this;
+    if (!interrogator || !subject || !this.interrogation.rounds.length) return;
+
+    const tells = this.tells;
+    const threshold = FLBR.voightKampff.threshold;
+    const template = `systems/${SYSTEM_ID}/templates/components/voight-kampff/voight-kampff-chatcard.hbs`;
+    const content = await renderTemplate(template, {
+      interrogator: interrogator.name,
+      subject: subject.name,
+      rounds: this.interrogation.rounds.length,
+      meter: Array.fromRange(threshold).map(i => i < tells),
+      tells,
+      threshold,
+      replicant: tells >= threshold,
+    });
+    const message = await ChatMessage.create({
+      content,
+      speaker: ChatMessage.getSpeaker({ actor: interrogator }),
+    });
+
+    Hooks.callAll('bladeRunnerVoightKampff', interrogator, subject, {
+      rounds: this.interrogation.rounds,
+      tells,
+      replicant: tells >= threshold,
+    });
+    this.interrogation = this.constructor.getInitialState();
+    return message;
+  }
+}
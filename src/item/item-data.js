@@ -0,0 +1,225 @@
+import { AVAILABILITIES } from '@system/constants';
+
+/**
+ * @typedef {import('@item/item-document').default} BladeRunnerItem
+ */
+
+/* ------------------------------------------ */
+/*  Field Groups                              */
+/* ------------------------------------------ */
+
+/** @returns {Object.<string, foundry.data.fields.DataField>} */
+function itemBaseFields() {
+  const { NumberField } = foundry.data.fields;
+  return {
+    qty: new NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 1 }),
+    cost: new NumberField({ required: true, nullable: false, min: 0, initial: 0 }),
+    availability: new NumberField({ required: true, nullable: false, integer: true, initial: AVAILABILITIES.STANDARD }),
+  };
+}
+
+/** @returns {Object.<string, foundry.data.fields.DataField>} */
+function itemDescFields() {
+  const { HTMLField, StringField } = foundry.data.fields;
+  return {
+    description: new HTMLField(),
+    special: new StringField({ required: true, initial: '' }),
+  };
+}
+
+/**
+ * @param {boolean} [initial=false]
+ * @returns {Object.<string, foundry.data.fields.DataField>}
+ */
+function itemConsumableFields(initial = false) {
+  return { consumable: new foundry.data.fields.BooleanField({ initial }) };
+}
+
+/** @returns {Object.<string, foundry.data.fields.DataField>} */
+function itemAttacksFields() {
+  const { BooleanField, ObjectField } = foundry.data.fields;
+  return {
+    attacks: new ObjectField(),
+    mounted: new BooleanField(),
+  };
+}
+
+/** @returns {Object.<string, foundry.data.fields.DataField>} */
+function itemActionsFields() {
+  return { actions: new foundry.data.fields.ObjectField() };
+}
+
+/** @returns {Object.<string, foundry.data.fields.DataField>} */
+function itemModifiersFields() {
+  return { modifiers: new foundry.data.fields.ObjectField() };
+}
+
+/* ------------------------------------------ */
+/*  Base Item Data Model                      */
+/* ------------------------------------------ */
+
+/**
+ * Base data model for the Blade Runner item types.
+ * @extends {foundry.abstract.TypeDataModel}
+ */
+export class BladeRunnerItemDataModel extends foundry.abstract.TypeDataModel {
+
+  /**
+   * The item owning this data.
+   * @type {BladeRunnerItem}
+   * @readonly
+   */
+  get item() {
+    return this.parent;
+  }
+
+  /* ------------------------------------------ */
+
+  /** @override */
+  prepareDerivedData() {
+    // Prepares actions.
+    if (this.actions) {
+      const itemActions = [];
+      // eslint-disable-next-line no-shadow
+      for (const [id, { type, name }] of Object.entries(this.actions)) {
+        itemActions.push({ id, type, name });
+      }
+      /** @type {{ id: string, type: string, name: string }[]} */
+      this.actionList = itemActions;
+    }
+
+    // Prepares attacks.
+    if (this.attacks) {
+      const itemAttacks = [];
+      for (const atk in this.attacks) {
+        itemAttacks.push({
+          id: atk,
+          name: this.attacks[atk].name,
+        });
+      }
+      /** @type {{ id: string, name: string }[]} */
+      this.attackList = itemAttacks;
+    }
+  }
+}
+
+/* ------------------------------------------ */
+/*  Item Data Models                          */
+/* ------------------------------------------ */
+
+export class GenericDataModel extends BladeRunnerItemDataModel {
+  /** @override */
+  static defineSchema() {
+    return {
+      ...itemBaseFields(),
+      ...itemActionsFields(),
+      ...itemDescFields(),
+      ...itemModifiersFields(),
+      ...itemConsumableFields(),
+    };
+  }
+}
+
+/* ------------------------------------------ */
+
+export class UpgradeDataModel extends BladeRunnerItemDataModel {
+  /** @override */
+  static defineSchema() {
+    return {
+      ...itemBaseFields(),
+      ...itemActionsFields(),
+      ...itemDescFields(),
+      ...itemModifiersFields(),
+    };
+  }
+}
+
+/* ------------------------------------------ */
+
+export class ArmorDataModel extends BladeRunnerItemDataModel {
+  /** @override */
+  static defineSchema() {
+    return {
+      ...itemBaseFields(),
+      ...itemDescFields(),
+      ...itemModifiersFields(),
+      ...itemConsumableFields(),
+      armor: new foundry.data.fields.NumberField({
+        required: true, nullable: false, integer: true, min: 0, initial: 6,
+      }),
+    };
+  }
+}
+
+/* ------------------------------------------ */
+
+export class WeaponDataModel extends BladeRunnerItemDataModel {
+  /** @override */
+  static defineSchema() {
+    return {
+      ...itemBaseFields(),
+      ...itemAttacksFields(),
+      ...itemActionsFields(),
+      ...itemDescFields(),
+      ...itemConsumableFields(),
+    };
+  }
+}
+
+/* ------------------------------------------ */
+
+export class ExplosiveDataModel extends BladeRunnerItemDataModel {
+  /** @override */
+  static defineSchema() {
+    return {
+      ...itemBaseFields(),
+      ...itemAttacksFields(),
+      ...itemActionsFields(),
+      ...itemDescFields(),
+      ...itemConsumableFields(true),
+      blast: new foundry.data.fields.NumberField({
+        required: true, nullable: false, integer: true, min: 0, initial: 8,
+      }),
+    };
+  }
+}
+
+/* ------------------------------------------ */
+
+export class SpecialtyDataModel extends BladeRunnerItemDataModel {
+  /** @override */
+  static defineSchema() {
+    return {
+      ...itemDescFields(),
+      ...itemActionsFields(),
+      ...itemModifiersFields(),
+      // The triggered effects of the specialty, see `SpecialtyTrigger` in '@components/specialty/specialty-effects'.
+      triggers: new foundry.data.fields.ObjectField(),
+    };
+  }
+}
+
+/* ------------------------------------------ */
+
+export class InjuryDataModel extends BladeRunnerItemDataModel {
+  /** @override */
+  static defineSchema() {
+    const { ArrayField, BooleanField, NumberField, SchemaField, StringField } = foundry.data.fields;
+    return {
+      ...itemDescFields(),
+      ...itemModifiersFields(),
+      category: new NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 1 }),
+      lethal: new BooleanField(),
+      permanent: new BooleanField(),
+      deathSave: new StringField({ required: true, initial: '' }),
+      healing: new StringField({ required: true, initial: '' }),
+      healingTime: new NumberField({ required: false, nullable: true, integer: true, min: 0, initial: null }),
+      healed: new BooleanField(),
+      // The lasting effects of a permanent injury, see `Scar` in '@components/scars/scars'.
+      scars: new ArrayField(new SchemaField({
+        key: new StringField({ required: true, blank: false, initial: 'attribute.str' }),
+        value: new NumberField({ required: true, nullable: false, integer: true, min: 1, initial: 1 }),
+      })),
+    };
+  }
+}
@@ -5,6 +5,8 @@ import BladeRunnerDialog from '@components/dialog/dialog';
 import Modifier from '@components/item-modifier';
 import ItemAction from '@components/item-action';
 import ItemAttack from '@components/item-attack';
+import { rollHealingTime } from '@components/recovery/recovery';
+import { applyScars } from '@components/scars/scars';
 
 export default class BladeRunnerItem extends Item {
 
@@ -16,6 +18,24 @@ export default class BladeRunnerItem extends Item {
     return this.system.qty;
   }
 
+  /**
+   * The list of the item's actions, prepared by its data model.
+   * @type {{ id: string, type: string, name: string }[]}
+   * @readonly
+   */
+  get actions() {
+    return this.system.actionList ?? [];
+  }
+
+  /**
+   * The list of the item's attacks, prepared by its data model.
+   * @type {{ id: string, name: string }[]}
+   * @readonly
+   */
+  get attacks() {
+    return this.system.attackList ?? [];
+  }
+
   get isPhysical() {
     return FLBR.physicalItems.includes(this.type);
   }
@@ -102,30 +122,40 @@ export default class BladeRunnerItem extends Item {
     return `systems/${sysId}/templates/item/item-chatcard.hbs`;
   }
 
+  /* ------------------------------------------- */
+  /*  Item Creation                               */
   /* ------------------------------------------- */
 
   /** @override */
-  prepareDerivedData() {
-    // Prepares actions.
-    if (this.system.actions) {
-      const itemActions = [];
-      // eslint-disable-next-line no-shadow
-      for (const [id, { type, name }] of Object.entries(this.system.actions)) {
-        itemActions.push({ id, type, name });
-      }
-      this.actions = itemActions;
+  async _preCreate(data, options, userId) {
+    await super._preCreate(data, options, userId);
+
+    // Starts the healing countdown of an injury inflicted to a character.
+    if (this.type === ITEM_TYPES.CRITICAL_INJURY && this.parent && this.system.healingTime == null) {
+      const healingTime = this.system.permanent ? null : await rollHealingTime(this.system.healing);
+      if (healingTime != null) this.updateSource({ 'system.healingTime': healingTime });
     }
+  }
 
-    // Prepares attacks.
-    if (this.type === ITEM_TYPES.WEAPON || this.type === ITEM_TYPES.EXPLOSIVE) {
-      const itemAttacks = [];
-      for (const atk in this.system.attacks) {
-        itemAttacks.push({
-          id: atk,
-          name: this.system.attacks[atk].name,
-        });
-      }
-      this.attacks = itemAttacks;
+  /** @override */
+  _onCreate(data, options, userId) {
+    super._onCreate(data, options, userId);
+
+    // A permanent injury leaves its scars on the character.
+    if (game.user.id === userId && this.type === ITEM_TYPES.CRITICAL_INJURY && this.system.permanent) {
+      applyScars(this.parent, this);
+    }
+  }
+
+  /** @override */
+  _onUpdate(changed, options, userId) {
+    super._onUpdate(changed, options, userId);
+
+    // An injury that becomes permanent leaves its scars on the character,
+    // and editing the scars of a permanent injury updates them.
+    const scarsChanged = changed.system?.permanent || foundry.utils.hasProperty(changed, 'system.scars');
+    if (game.user.id === userId && this.type === ITEM_TYPES.CRITICAL_INJURY && scarsChanged) {
+      applyScars(this.parent, this);
     }
   }
 
@@ -177,9 +207,14 @@ export default class BladeRunnerItem extends Item {
 
   /**
    * Rolls the item.
-   * @returns {Promise.<BRRollHandler>} Rendered RollHandler FormApplication
+   * @param {Object}   [options]
+   * @param {string}   [options.actionId]   The action to use, instead of asking which one
+   * @param {string}   [options.attackId]   The attack to use, instead of asking which one
+   * @param {boolean}  [options.skipDialog] Whether to roll straight away, without the roll dialog
+   * @returns {Promise.<BRRollHandler|ChatMessage>} Rendered RollHandler FormApplication,
+   *   or the chat message of the roll if the dialog was skipped
    */
-  async roll() {
+  async roll({ actionId, attackId, skipDialog = false } = {}) {
     // Quantity consumption.
     if (this.system.consumable) {
       if (this.qty <= 0) {
@@ -200,7 +235,7 @@ export default class BladeRunnerItem extends Item {
     }
 
     switch (this.type) {
-      case ITEM_TYPES.ARMOR: return this._rollArmor();
+      case ITEM_TYPES.ARMOR: return this._rollArmor({ skipDialog });
       // ! Not this one below ↓
       // case ITEM_TYPES.EXPLOSIVE: return this._rollExplosive();
     }
@@ -218,8 +253,7 @@ export default class BladeRunnerItem extends Item {
     }
 
     // Gets the action.
-    let actionId;
-    if (this.actions.length > 1) {
+    if (!actionId && this.actions.length > 1) {
       actionId = await BladeRunnerDialog.choose(
         this.actions.map(a => {
           const actData = this.system.actions[a.id];
@@ -229,7 +263,7 @@ export default class BladeRunnerItem extends Item {
         `${this.detailedName}: ${game.i18n.localize('FLBR.DIALOG.ChooseAction')}`,
       );
     }
-    else {
+    else if (!actionId) {
       actionId = this.actions[0]?.id;
     }
     const action = this.system.actions[actionId];
@@ -256,8 +290,7 @@ export default class BladeRunnerItem extends Item {
     // Gets the attack.
     let attack;
     if (this.isOffensive) {
-      let attackId;
-      if (this.attacks.length > 1) {
+      if (!attackId && this.attacks.length > 1) {
         attackId = await BladeRunnerDialog.choose(
           this.attacks.map(a => {
             const atk = new ItemAttack(this.system.attacks[a.id]);
@@ -266,7 +299,7 @@ export default class BladeRunnerItem extends Item {
           `${this.detailedName}: ${game.i18n.localize('FLBR.DIALOG.ChooseAttack')}`,
         );
       }
-      else {
+      else if (!attackId) {
         attackId = this.attacks[0]?.id;
       }
       attack = this.system.attacks[attackId];
@@ -308,15 +341,16 @@ export default class BladeRunnerItem extends Item {
       crit: attack?.crit,
       unlimitedPush: actor?.flags.bladerunner?.unlimitedPush,
     });
+    if (skipDialog) return roller.quickRoll();
     return roller.render(true);
   }
 
   /* ------------------------------------------ */
 
-  _rollArmor() { return this._rollSpecial(this.system.armor); }
-  _rollExplosive() { return this._rollSpecial(this.system.blast); }
+  _rollArmor(options) { return this._rollSpecial(this.system.armor, options); }
+  _rollExplosive(options) { return this._rollSpecial(this.system.blast, options); }
 
-  async _rollSpecial(value) {
+  async _rollSpecial(value, { skipDialog = false } = {}) {
     const autoArmorRoll =
       this.type === ITEM_TYPES.ARMOR &&
       game.settings.get(game.system.id, SETTINGS_KEYS.AUTO_ARMOR_ROLL);
@@ -324,7 +358,7 @@ export default class BladeRunnerItem extends Item {
     const title = (this.actor ? `${this.actor.name}: ` : '')
       + game.i18n.localize(`TYPES.Item.${this.type}`);
 
-    const execute = autoArmorRoll || await Dialog.confirm({
+    const execute = skipDialog || autoArmorRoll || await Dialog.confirm({
       title,
       content: `<p>${game.i18n.format('FLBR.ROLLER.RollSpecialHint', {
         name: `<b>${this.name}</b>`,
@@ -362,7 +396,7 @@ export default class BladeRunnerItem extends Item {
       name: this.name,
       img: this.img,
       type: this.type,
-      system: foundry.utils.duplicate(this.system),
+      system: foundry.utils.deepClone({ ...this.system }),
       link: this.link,
       inActor: !!this.actor,
       showProperties: (this.type !== ITEM_TYPES.GENERIC || this.hasModifier),
@@ -1,7 +1,7 @@
 import ItemAction from '@components/item-action';
 import ItemAttack from '@components/item-attack';
 import { FLBR } from '@system/config';
-import { ITEM_TYPES, SETTINGS_KEYS, SYSTEM_ID } from '@system/constants';
+import { ITEM_TYPES, SETTINGS_KEYS, SPECIALTY_EFFECTS, SYSTEM_ID } from '@system/constants';
 import { enrichTextFields } from '@utils/string-util';
 
 /**
@@ -61,7 +61,7 @@ export default class BladeRunnerItemSheet extends ItemSheet {
       isConsumable: this.item.isConsumable,
       inVehicle: this.item.actor?.isVehicle,
       item: baseData.item,
-      system: foundry.utils.duplicate(baseData.item.system),
+      system: foundry.utils.deepClone({ ...baseData.item.system }),
       showEffects,
       effects: showEffects ? this.item.effects.contents : null,
       rollable: this.item.rollable,
@@ -148,6 +148,14 @@ export default class BladeRunnerItemSheet extends ItemSheet {
     html.find('.add-modifier').click(this._onAddModifier.bind(this));
     html.find('.delete-modifier').click(this._onDeleteModifier.bind(this));
 
+    // Injury Scars
+    html.find('.add-scar').click(this._onAddScar.bind(this));
+    html.find('.delete-scar').click(this._onDeleteScar.bind(this));
+
+    // Specialty Triggers
+    html.find('.add-trigger').click(this._onAddTrigger.bind(this));
+    html.find('.delete-trigger').click(this._onDeleteTrigger.bind(this));
+
     // Active Effects
     if (game.settings.get(SYSTEM_ID, SETTINGS_KEYS.USE_ACTIVE_EFFECTS)) {
       html.find('.add-active-effect').click(this._onAddActiveEffect.bind(this));
@@ -236,6 +244,41 @@ export default class BladeRunnerItemSheet extends ItemSheet {
 
   /* ------------------------------------------ */
 
+  _onAddScar(event) {
+    event.preventDefault();
+    const scars = this.item.toObject().system.scars ?? [];
+    scars.push({ key: 'attribute.str', value: 1 });
+    return this.item.update({ 'system.scars': scars });
+  }
+
+  _onDeleteScar(event) {
+    event.preventDefault();
+    const index = Number(event.currentTarget.dataset.index);
+    const scars = this.item.toObject().system.scars ?? [];
+    scars.splice(index, 1);
+    return this.item.update({ 'system.scars': scars });
+  }
+
+  /* ------------------------------------------ */
+
+  _onAddTrigger(event) {
+    event.preventDefault();
+    const triggerId = foundry.utils.randomID();
+    return this.item.update({
+      [`system.triggers.${triggerId}`]: { target: '', effect: SPECIALTY_EFFECTS.REROLL, uses: 1, session: '', used: 0 },
+    });
+  }
+
+  _onDeleteTrigger(event) {
+    event.preventDefault();
+    const triggerId = event.currentTarget.dataset.triggerId;
+    if (this.item.system.triggers?.[triggerId]) {
+      this.item.update({ [`system.triggers.-=${triggerId}`]: null });
+    }
+  }
+
+  /* ------------------------------------------ */
+
   _onAddActiveEffect(event) {
     event.preventDefault();
     return this.item.createEmbeddedDocuments('ActiveEffect', [{
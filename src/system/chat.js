@@ -2,6 +2,10 @@ import { ACTOR_TYPES, DAMAGE_TYPES } from './constants';
 import { FLBR } from './config';
 import BRRollHandler from '@components/roll/roller';
 import BladeRunnerDialog from '@components/dialog/dialog';
+import { rollDeathSave, treatDyingCharacter } from '@components/death-save/death-save';
+import { resolveInvocation } from '@components/key-invocation/key-invocation';
+import { canResist, resistOpposedRoll } from '@components/opposed-roll/opposed-roll';
+import { canOfferHelp, offerHelp } from '@components/assisted-roll/assisted-roll';
 
 /* ------------------------------------------- */
 /*  Helper Methods                             */
@@ -123,9 +127,16 @@ export async function distributeDamageFromMessage(messageId) {
 
 /**
  * Hides buttons of Chat messages for non-owners.
- * @param {JQuery} html
+ * @param {ChatMessage} message
+ * @param {JQuery}      html
  */
-export function hideChatActionButtons(html) {
+export function hideChatActionButtons(message, html) {
+  // Hides GM-only elements.
+  if (!game.user.isGM) html.find('.chat-card .gm-only').remove();
+
+  // The other players help, not the one asking for help.
+  if (!canOfferHelp(message)) html.find('.help-offer-button').remove();
+
   const chatCard = html.find('.yzur.chat-card');
 
   // Exits early if no chatCard were found.
@@ -133,10 +144,13 @@ export function hideChatActionButtons(html) {
 
   // Hides buttons.
   const actor = game.actors.get(chatCard.attr('data-actor-id'));
-  const buttons = chatCard.find('button');
+  const buttons = chatCard.find('button:not(.opposed-resist-button)');
   for (const btn of buttons) {
     if (actor && !actor.isOwner) btn.style.display = 'none';
   }
+
+  // The opposing actor's owner resists, not the roller.
+  if (!canResist(message)) chatCard.find('.opposed-resist-button').remove();
 }
 /* ------------------------------------------- */
 /*  Chat Event Listeners                       */
@@ -150,6 +164,10 @@ export function addChatListeners(html) {
   html.on('click', '.blade-runner-display-manual', game.bladerunner.macros.displayManual);
   html.on('click', '.roll-button', _onRollAction);
   html.on('click', '.crit-roll', _onCritRoll);
+  html.on('click', '.death-save-button', _onDeathSaveAction);
+  html.on('click', '.key-invocation-button', _onKeyInvocationAction);
+  html.on('click', '.opposed-resist-button', _onResistAction);
+  html.on('click', '.help-offer-button', _onHelpAction);
 }
 
 /* ------------------------------------------- */
@@ -176,6 +194,7 @@ async function _onRollAction(event) {
   switch (action) {
     case 'push': return BRRollHandler.pushRoll(message);
     case 'cancel-push': return BRRollHandler.cancelPush(message);
+    case 'signature-reroll': return BRRollHandler.rerollWithSignatureItem(message);
     default: return null;
   }
 }
@@ -194,3 +213,74 @@ function _onCritRoll(event) {
   const roll = message?.rolls[0];
   return BRRollHandler.applyCrit(roll);
 }
+
+/* ------------------------------------------- */
+
+/**
+ * Triggers an action on the death saves of the chat card's actor.
+ * @param {MouseEvent} event
+ * @returns {Promise}
+ */
+function _onDeathSaveAction(event) {
+  event.preventDefault();
+  const button = event.currentTarget;
+  const actor = getChatCardActor(button.closest('.chat-card'));
+  if (!actor) return;
+
+  // Disables the button to avoid any double roll.
+  button.disabled = true;
+  switch (button.dataset.action) {
+    case 'roll': return rollDeathSave(actor);
+    case 'treat': return treatDyingCharacter(actor);
+  }
+}
+
+/* ------------------------------------------- */
+
+/**
+ * Approves or rejects the key invocation of the chat card (GM only).
+ * @param {MouseEvent} event
+ * @returns {Promise}
+ */
+function _onKeyInvocationAction(event) {
+  event.preventDefault();
+  const button = event.currentTarget;
+  const card = button.closest('.chat-card');
+  const actor = getChatCardActor(card);
+  if (!actor || !game.user.isGM) return;
+
+  button.disabled = true;
+  const message = game.messages.get(button.closest('.chat-message').dataset.messageId);
+  const approved = button.dataset.action === 'approve';
+  return resolveInvocation(actor, card.dataset.invocationId, approved, { message });
+}
+
+/* ------------------------------------------- */
+
+/**
+ * Resists the opposed roll of the chat card.
+ * @param {MouseEvent} event
+ * @returns {Promise}
+ */
+function _onResistAction(event) {
+  event.preventDefault();
+  const button = event.currentTarget;
+  button.disabled = true;
+  const message = game.messages.get(button.closest('.chat-message').dataset.messageId);
+  return resistOpposedRoll(message);
+}
+
+/* ------------------------------------------- */
+
+/**
+ * Offers help to the roll requested in the chat card.
+ * @param {MouseEvent} event
+ * @returns {Promise}
+ */
+function _onHelpAction(event) {
+  event.preventDefault();
+  const button = event.currentTarget;
+  button.disabled = true;
+  const message = game.messages.get(button.closest('.chat-message').dataset.messageId);
+  return offerHelp(message);
+}
@@ -46,6 +46,18 @@ FLBR.skillMap = {
 
 FLBR.skills = Object.keys(FLBR.skillMap);
 
+/**
+ * The skill used by default to resist an opposed roll, by skill of the initiator.
+ * Other skills are resisted with the same skill.
+ * @type {Object.<string, string>}
+ */
+FLBR.opposedSkills = {
+  [BR.SKILLS.STEALTH]: BR.SKILLS.OBSERVATION,
+  [BR.SKILLS.OBSERVATION]: BR.SKILLS.STEALTH,
+  [BR.SKILLS.MANIPULATION]: BR.SKILLS.INSIGHT,
+  [BR.SKILLS.INSIGHT]: BR.SKILLS.MANIPULATION,
+};
+
 /** @type {Object.<KeyString, TranslationString>} */
 FLBR.archetypes = {};
 for (const [k, v] of Object.entries(BR.ARCHETYPES)) {
@@ -54,10 +66,12 @@ for (const [k, v] of Object.entries(BR.ARCHETYPES)) {
 
 FLBR.capacitiesMap = {
   [BR.CAPACITIES.HEALTH]: {
+    label: 'FLBR.HEADER.Health',
     attributes: [BR.ATTRIBUTES.STRENGTH, BR.ATTRIBUTES.AGILITY],
     max: 10,
   },
   [BR.CAPACITIES.RESOLVE]: {
+    label: 'FLBR.HEADER.Resolve',
     attributes: [BR.ATTRIBUTES.INTELLIGENCE, BR.ATTRIBUTES.EMPATHY],
     max: 10,
   },
@@ -142,12 +156,169 @@ FLBR.startingSkillLevel = 6;
 FLBR.deathSaveTest = BR.SKILLS.STAMINA;
 FLBR.baselineTest = BR.SKILLS.INSIGHT;
 
+/**
+ * Baseline tests of the replicants.
+ * - `resolveLoss`: the resolve lost when failing the test
+ * - `modifiers`: the situational modifiers of the test
+ *   (`offBaseline` is active when the replicant failed their last test,
+ *   `stressed` is active when their resolve is at half or below)
+ */
+FLBR.baseline = {
+  resolveLoss: 1,
+  modifiers: {
+    offBaseline: -1,
+    stressed: -1,
+  },
+};
+
+/**
+ * Benefits of the signature items, usable once per session.
+ * - `invoke`: the item is invoked from the sheet, its benefit is left to the GM
+ * - `die`: a bonus die, equal to the lowest die of the pool, is added to a roll
+ * - `reroll`: a roll is rolled again, without any push trauma
+ */
+FLBR.signatureItemBenefits = {
+  [BR.SIGNATURE_ITEM_BENEFITS.INVOKE]: 'FLBR.SIGNATURE_ITEM.Invoke',
+  [BR.SIGNATURE_ITEM_BENEFITS.DIE]: 'FLBR.SIGNATURE_ITEM.BonusDie',
+  [BR.SIGNATURE_ITEM_BENEFITS.REROLL]: 'FLBR.SIGNATURE_ITEM.Reroll',
+};
+
+/**
+ * Effects of the specialties, triggered by the rolls of their attribute or skill.
+ * - `step`: when the effect is offered, in the roll dialog (`roll`) or when pushing (`push`)
+ * - `extraDie`: a bonus die, equal to the lowest die of the pool, is added to the roll
+ * - `ignorePenalty`: the negative modifiers of the roll are ignored
+ * - `reroll`: instead of pushing the roll, its lowest die that is not a success is rolled again
+ *   (the roll is not pushed, so it inflicts no push trauma)
+ * - `baneSuccess`: a bane of the pushed roll counts as a success
+ */
+FLBR.specialtyEffects = {
+  [BR.SPECIALTY_EFFECTS.EXTRA_DIE]: {
+    label: 'FLBR.SPECIALTY_EFFECT.ExtraDie',
+    step: 'roll',
+  },
+  [BR.SPECIALTY_EFFECTS.IGNORE_PENALTY]: {
+    label: 'FLBR.SPECIALTY_EFFECT.IgnorePenalty',
+    step: 'roll',
+  },
+  [BR.SPECIALTY_EFFECTS.REROLL]: {
+    label: 'FLBR.SPECIALTY_EFFECT.Reroll',
+    step: 'push',
+  },
+  [BR.SPECIALTY_EFFECTS.BANE_SUCCESS]: {
+    label: 'FLBR.SPECIALTY_EFFECT.BaneSuccess',
+    step: 'push',
+  },
+};
+
+/**
+ * Voight-Kampff interrogations.
+ * - `questions`: the skills the interrogator can roll
+ * - `resistances`: the skills or attributes the subject can roll against
+ * - `tellMargin`: by nature of the subject, the margin of successes of the interrogator needed for each tell
+ * - `threshold`: the number of tells revealing a replicant
+ * - `maxRounds`: the number of question rounds of an interrogation
+ */
+FLBR.voightKampff = {
+  questions: [BR.SKILLS.INSIGHT, BR.SKILLS.OBSERVATION],
+  resistances: [BR.SKILLS.MANIPULATION, BR.ATTRIBUTES.EMPATHY],
+  tellMargin: {
+    [BR.NATURES.HUMAN]: 2,
+    [BR.NATURES.REPLICANT]: 1,
+  },
+  threshold: 4,
+  maxRounds: 6,
+};
+
 FLBR.maxPromotionPoints = 20;
 FLBR.maxHumanityPoints = 20;
 FLBR.maxChinyenPoints = 20;
 FLBR.maxVehicleHull = 10;
 
+FLBR.metaCurrencies = {
+  [BR.META_CURRENCIES.PROMOTION]: { label: 'FLBR.HEADER.PromotionPoints', max: FLBR.maxPromotionPoints },
+  [BR.META_CURRENCIES.HUMANITY]: { label: 'FLBR.HEADER.HumanityPoints', max: FLBR.maxHumanityPoints },
+  [BR.META_CURRENCIES.CHINYEN]: { label: 'FLBR.HEADER.ChinyenPoints', max: FLBR.maxChinyenPoints },
+};
+
+/**
+ * Invocations of the key memory and the key relationship during play.
+ * Each key can be invoked once per game session (unless the invocation was rejected),
+ * and the GM approves the humanity points it awards.
+ * - `label`: the name of the key
+ * - `humanity`: the humanity points awarded when the invocation is approved
+ */
+FLBR.keyInvocations = {
+  [BR.KEY_INVOCATIONS.MEMORY]: { label: 'FLBR.HEADER.KeyMemory', humanity: 1 },
+  [BR.KEY_INVOCATIONS.RELATIONSHIP]: { label: 'FLBR.HEADER.KeyRelationship', humanity: 1 },
+};
+
+/**
+ * Character advancement.
+ * - `currencies`: the meta-currencies that can be spent
+ * - `costs`: the cost in points of each type of advancement
+ */
+FLBR.advancement = {
+  currencies: [BR.META_CURRENCIES.PROMOTION, BR.META_CURRENCIES.HUMANITY],
+  costs: {
+    [BR.ADVANCEMENT_TYPES.SKILL]: 5,
+    [BR.ADVANCEMENT_TYPES.SPECIALTY]: 5,
+  },
+};
+
+/**
+ * Recovery of the characters.
+ * - `actions`: the capacity points recovered by each recovery action,
+ *   and the time it takes in shifts (which counts down the healing of the critical injuries)
+ * - `medicalAid`: the skill rolled to assist the recovery, and the health recovered per success
+ * - `brokenNeedsAid`: whether a character broken by damage recovers health only with medical aid
+ * - `healingUnits`: the length in shifts of the time units used by the injuries' healing times
+ */
+FLBR.recovery = {
+  actions: {
+    [BR.RECOVERY_ACTIONS.REST]: {
+      label: 'FLBR.RECOVERY.ACTION.Rest',
+      [BR.CAPACITIES.HEALTH]: 1,
+      [BR.CAPACITIES.RESOLVE]: 1,
+      shifts: 0,
+    },
+    [BR.RECOVERY_ACTIONS.SHIFT]: {
+      label: 'FLBR.RECOVERY.ACTION.Shift',
+      [BR.CAPACITIES.HEALTH]: 2,
+      [BR.CAPACITIES.RESOLVE]: 2,
+      shifts: 1,
+    },
+  },
+  medicalAid: {
+    skill: BR.SKILLS.MEDICAL_AID,
+    healthPerSuccess: 1,
+  },
+  brokenNeedsAid: true,
+  healingUnits: {
+    shift: 1,
+    day: 4,
+    week: 28,
+  },
+};
+
+/**
+ * Death saves for lethal critical injuries.
+ * - `units`: the time units of the death saves' time limits, with their length in seconds of world time
+ *   (rounds are counted with the combat rounds when the character is in an active combat)
+ * - `defaultUnit`: the unit used when the injury's death save does not mention one
+ */
+FLBR.deathSave = {
+  units: {
+    round: { label: 'FLBR.DEATH_SAVE.UNIT.Round', seconds: 10 },
+    stretch: { label: 'FLBR.DEATH_SAVE.UNIT.Stretch', seconds: 1800 },
+    shift: { label: 'FLBR.DEATH_SAVE.UNIT.Shift', seconds: 21600 },
+  },
+  defaultUnit: 'round',
+};
+
 FLBR.maxRolledDice = 3;
+/** The number of rolls kept in the roll history of a character (the oldest are dropped). */
+FLBR.rollHistorySize = 1000;
 FLBR.itemSpecialInputMaxLength = 80;
 FLBR.vehicleCrashDamage = '1d3 + @altitude';
 FLBR.vehicleMassiveCrashDamage = '1d6 + @altitude';
@@ -161,49 +332,254 @@ for (const [k, v] of Object.entries(CONST.DICE_ROLL_MODES)) {
   FLBR.rollModes[v] = `CHAT.Roll${k.toLowerCase().capitalize()}`;
 }
 
-// TODO Implements Years On The Force on creation. Maybe move to a module
-// FLBR.yearsOnTheForce = {
-//   [BR.YEARS_ON_THE_FORCE.ROOKIE]: {
-//     years: [0, 1],
-//     modifiers: {
-//       attributes: 4,
-//       skills: 8,
-//       specialties: 0,
-//       promos: 'D3',
-//       chinyen: -1,
-//     },
-//   },
-//   [BR.YEARS_ON_THE_FORCE.SEASONED]: {
-//     years: [2, 7],
-//     modifiers: {
-//       attributes: 3,
-//       skills: 10,
-//       specialties: 1,
-//       promos: 'D6',
-//       chinyen: 0,
-//     },
-//   },
-//   [BR.YEARS_ON_THE_FORCE.VETERAN]: {
-//     years: [8, 15],
-//     modifiers: {
-//       attributes: 2,
-//       skills: 12,
-//       specialties: 2,
-//       promos: 'D8',
-//       chinyen: 1,
-//     },
-//   },
-//   [BR.YEARS_ON_THE_FORCE.OLD_TIMER]: {
-//     years: [16, 99],
-//     modifiers: {
-//       attributes: 1,
-//       skills: 14,
-//       specialties: 3,
-//       promos: 'D10',
-//       chinyen: 2,
-//     },
-//   },
-// };
+/**
+ * Years On The Force, used by the character creation wizard.
+ * - `years`: the range of years for this category
+ * - `modifiers.attributes`: the number of attribute points (one point raises a score by one step)
+ * - `modifiers.skills`: the number of skill points
+ * - `modifiers.specialties`: the number of specialties, in addition to the archetype's one
+ * - `modifiers.promos`: the die rolled for the starting Promotion points
+ * - `modifiers.chinyen`: the modifier to the starting Chinyen points
+ */
+FLBR.yearsOnTheForce = {
+  [BR.YEARS_ON_THE_FORCE.ROOKIE]: {
+    label: 'FLBR.YEARS_ON_THE_FORCE.ROOKIE',
+    years: [0, 1],
+    modifiers: {
+      attributes: 4,
+      skills: 8,
+      specialties: 0,
+      promos: 'D3',
+      chinyen: -1,
+    },
+  },
+  [BR.YEARS_ON_THE_FORCE.SEASONED]: {
+    label: 'FLBR.YEARS_ON_THE_FORCE.SEASONED',
+    years: [2, 7],
+    modifiers: {
+      attributes: 3,
+      skills: 10,
+      specialties: 1,
+      promos: 'D6',
+      chinyen: 0,
+    },
+  },
+  [BR.YEARS_ON_THE_FORCE.VETERAN]: {
+    label: 'FLBR.YEARS_ON_THE_FORCE.VETERAN',
+    years: [8, 15],
+    modifiers: {
+      attributes: 2,
+      skills: 12,
+      specialties: 2,
+      promos: 'D8',
+      chinyen: 1,
+    },
+  },
+  [BR.YEARS_ON_THE_FORCE.OLD_TIMER]: {
+    label: 'FLBR.YEARS_ON_THE_FORCE.OLD_TIMER',
+    years: [16, 99],
+    modifiers: {
+      attributes: 1,
+      skills: 14,
+      specialties: 3,
+      promos: 'D10',
+      chinyen: 2,
+    },
+  },
+};
+
+FLBR.startingChinyenPoints = 1;
+FLBR.archetypeSpecialties = 1;
+
+/**
+ * Threat tiers, used by the NPC generator.
+ * - `attributes`: the number of steps added to the attributes (from the starting level)
+ * - `skills`: the number of steps added to the skills (from none)
+ * - `specialties`: the number of specialties
+ * - `gear`: the number of gear items
+ */
+FLBR.threatTiers = {
+  [BR.THREAT_TIERS.LOW]: {
+    label: 'FLBR.THREAT_TIER.LOW',
+    attributes: 1,
+    skills: 6,
+    specialties: 0,
+    gear: 1,
+  },
+  [BR.THREAT_TIERS.MEDIUM]: {
+    label: 'FLBR.THREAT_TIER.MEDIUM',
+    attributes: 3,
+    skills: 10,
+    specialties: 1,
+    gear: 2,
+  },
+  [BR.THREAT_TIERS.HIGH]: {
+    label: 'FLBR.THREAT_TIER.HIGH',
+    attributes: 5,
+    skills: 14,
+    specialties: 2,
+    gear: 3,
+  },
+  [BR.THREAT_TIERS.ELITE]: {
+    label: 'FLBR.THREAT_TIER.ELITE',
+    attributes: 7,
+    skills: 18,
+    specialties: 3,
+    gear: 4,
+  },
+};
+
+/**
+ * Archetype profiles, used by the NPC generator.
+ * Each step is spent on a random attribute or skill, weighted by these values.
+ * Attributes and skills that are not listed have a weight of 1.
+ * - `gear`: the item types drawn for the gear
+ */
+FLBR.archetypeProfiles = {
+  [BR.ARCHETYPES.ANALYST]: {
+    attributes: { [BR.ATTRIBUTES.INTELLIGENCE]: 4 },
+    skills: {
+      [BR.SKILLS.TECH]: 6,
+      [BR.SKILLS.MEDICAL_AID]: 4,
+      [BR.SKILLS.OBSERVATION]: 4,
+      [BR.SKILLS.INSIGHT]: 2,
+    },
+    gear: [BR.ITEM_TYPES.GENERIC],
+  },
+  [BR.ARCHETYPES.CITY_SPEAKER]: {
+    attributes: { [BR.ATTRIBUTES.EMPATHY]: 4 },
+    skills: {
+      [BR.SKILLS.CONNECTIONS]: 6,
+      [BR.SKILLS.MANIPULATION]: 4,
+      [BR.SKILLS.INSIGHT]: 4,
+      [BR.SKILLS.OBSERVATION]: 2,
+    },
+    gear: [BR.ITEM_TYPES.GENERIC],
+  },
+  [BR.ARCHETYPES.DOXIE]: {
+    attributes: { [BR.ATTRIBUTES.EMPATHY]: 4, [BR.ATTRIBUTES.AGILITY]: 2 },
+    skills: {
+      [BR.SKILLS.MANIPULATION]: 6,
+      [BR.SKILLS.INSIGHT]: 4,
+      [BR.SKILLS.CONNECTIONS]: 4,
+      [BR.SKILLS.STEALTH]: 2,
+    },
+    gear: [BR.ITEM_TYPES.GENERIC, BR.ITEM_TYPES.WEAPON],
+  },
+  [BR.ARCHETYPES.ENFORCER]: {
+    attributes: { [BR.ATTRIBUTES.STRENGTH]: 4, [BR.ATTRIBUTES.AGILITY]: 2 },
+    skills: {
+      [BR.SKILLS.CLOSE_COMBAT]: 6,
+      [BR.SKILLS.FORCE]: 4,
+      [BR.SKILLS.FIREARMS]: 4,
+      [BR.SKILLS.STAMINA]: 4,
+    },
+    gear: [BR.ITEM_TYPES.WEAPON, BR.ITEM_TYPES.ARMOR],
+  },
+  [BR.ARCHETYPES.FIXER]: {
+    attributes: { [BR.ATTRIBUTES.EMPATHY]: 2, [BR.ATTRIBUTES.INTELLIGENCE]: 2 },
+    skills: {
+      [BR.SKILLS.CONNECTIONS]: 6,
+      [BR.SKILLS.MANIPULATION]: 4,
+      [BR.SKILLS.TECH]: 2,
+      [BR.SKILLS.DRIVING]: 2,
+    },
+    gear: [BR.ITEM_TYPES.GENERIC, BR.ITEM_TYPES.WEAPON],
+  },
+  [BR.ARCHETYPES.INSPECTOR]: {
+    attributes: { [BR.ATTRIBUTES.INTELLIGENCE]: 3, [BR.ATTRIBUTES.EMPATHY]: 2 },
+    skills: {
+      [BR.SKILLS.OBSERVATION]: 6,
+      [BR.SKILLS.INSIGHT]: 4,
+      [BR.SKILLS.FIREARMS]: 2,
+      [BR.SKILLS.DRIVING]: 2,
+    },
+    gear: [BR.ITEM_TYPES.WEAPON, BR.ITEM_TYPES.GENERIC],
+  },
+  [BR.ARCHETYPES.SKIMMER]: {
+    attributes: { [BR.ATTRIBUTES.AGILITY]: 4 },
+    skills: {
+      [BR.SKILLS.STEALTH]: 6,
+      [BR.SKILLS.MOBILITY]: 4,
+      [BR.SKILLS.TECH]: 2,
+      [BR.SKILLS.CLOSE_COMBAT]: 2,
+    },
+    gear: [BR.ITEM_TYPES.WEAPON, BR.ITEM_TYPES.GENERIC, BR.ITEM_TYPES.EXPLOSIVE],
+  },
+};
+
+/* ------------------------------------------ */
+/*  Status Effects                            */
+/* ------------------------------------------ */
+
+/**
+ * Status effects of the system, registered in `CONFIG.statusEffects`.
+ * - `modifiers`: the roll modifiers carried by the status, by modifier key
+ */
+FLBR.statusEffects = [
+  {
+    id: BR.STATUS_EFFECTS.BROKEN,
+    name: 'FLBR.Broken',
+    icon: 'icons/svg/unconscious.svg',
+    modifiers: {},
+  },
+  {
+    id: BR.STATUS_EFFECTS.WRECKED,
+    name: 'FLBR.Wrecked',
+    icon: 'icons/svg/fire.svg',
+    modifiers: {},
+  },
+  {
+    id: BR.STATUS_EFFECTS.GRAPPLED,
+    name: 'FLBR.STATUS.Grappled',
+    icon: 'icons/svg/net.svg',
+    modifiers: {
+      [`skill.${BR.SKILLS.MOBILITY}`]: -1,
+      [`skill.${BR.SKILLS.FIREARMS}`]: -1,
+    },
+  },
+  {
+    id: BR.STATUS_EFFECTS.PRONE,
+    name: 'FLBR.STATUS.Prone',
+    icon: 'icons/svg/falling.svg',
+    modifiers: {
+      [`skill.${BR.SKILLS.CLOSE_COMBAT}`]: -1,
+      [`skill.${BR.SKILLS.MOBILITY}`]: -1,
+    },
+  },
+  {
+    id: BR.STATUS_EFFECTS.HIDDEN,
+    name: 'FLBR.STATUS.Hidden',
+    icon: 'icons/svg/invisible.svg',
+    modifiers: {
+      [`skill.${BR.SKILLS.CLOSE_COMBAT}`]: 1,
+      [`skill.${BR.SKILLS.FIREARMS}`]: 1,
+    },
+  },
+  {
+    id: BR.STATUS_EFFECTS.AIMING,
+    name: 'FLBR.STATUS.Aiming',
+    icon: 'icons/svg/target.svg',
+    modifiers: {
+      [`skill.${BR.SKILLS.FIREARMS}`]: 1,
+    },
+  },
+  {
+    id: BR.STATUS_EFFECTS.DYING,
+    name: 'FLBR.DEATH_SAVE.Dying',
+    icon: 'icons/svg/blood.svg',
+    modifiers: {},
+  },
+  {
+    id: BR.STATUS_EFFECTS.SEDATED,
+    name: 'FLBR.STATUS.Sedated',
+    icon: 'icons/svg/sleep.svg',
+    modifiers: {
+      [`attribute.${BR.ATTRIBUTES.AGILITY}`]: -1,
+      [`attribute.${BR.ATTRIBUTES.INTELLIGENCE}`]: -1,
+    },
+  },
+];
 
 /* ------------------------------------------ */
 /*  Actions                                   */
@@ -272,7 +648,7 @@ FLBR.Actions = [
     id: BR.COMBAT_ACTIONS.CAREFUL_AIM,
     label: 'FLBR.COMBAT_ACTION.CarefulAim',
     hint: 'FLBR.COMBAT_ACTION_HINT.CarefulAim',
-    callback: () => ui.notifications.warn('Not implemented yet.'),
+    callback: actor => actor.toggleStatus(BR.STATUS_EFFECTS.AIMING, true),
     actorType: BR.ACTOR_TYPES.CHAR,
   },
   {
@@ -359,6 +735,7 @@ FLBR.Icons = {
     bio: '<i class="fas fa-align-left"></i>',
     combat: '<i class="fas fa-fist-raised"></i>',
     features: '<i class="fas fa-briefcase"></i>',
+    history: '<i class="fas fa-clock-rotate-left"></i>',
     inventory: '<i class="fas fa-archive"></i>',
     mods: '<i class="fas fa-puzzle-piece"></i>',
     roll: '<i class="fas fa-dice-six"></i>',
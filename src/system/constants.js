@@ -45,6 +45,71 @@ export const CAPACITIES = {
   /** @type {'resolve'} */ RESOLVE: 'resolve',
 };
 
+/** @enum {string} */
+export const META_CURRENCIES = {
+  /** @type {'promotion'} */ PROMOTION: 'promotion',
+  /** @type {'humanity'} */ HUMANITY: 'humanity',
+  /** @type {'chinyen'} */ CHINYEN: 'chinyen',
+};
+
+/** @enum {string} */
+export const KEY_INVOCATIONS = {
+  /** @type {'keyMemory'} */ MEMORY: 'keyMemory',
+  /** @type {'keyRelationship'} */ RELATIONSHIP: 'keyRelationship',
+};
+
+/** @enum {string} */
+export const INVOCATION_STATES = {
+  /** @type {'pending'} */ PENDING: 'pending',
+  /** @type {'approved'} */ APPROVED: 'approved',
+  /** @type {'rejected'} */ REJECTED: 'rejected',
+};
+
+/** @enum {string} */
+export const ADVANCEMENT_TYPES = {
+  /** @type {'skill'} */ SKILL: 'skill',
+  /** @type {'specialty'} */ SPECIALTY: 'specialty',
+};
+
+/** @enum {string} */
+export const RECOVERY_ACTIONS = {
+  /** @type {'rest'} */ REST: 'rest',
+  /** @type {'shift'} */ SHIFT: 'shift',
+};
+
+/** @enum {string} */
+export const STATUS_EFFECTS = {
+  /** @type {'broken'} */ BROKEN: 'broken',
+  /** @type {'wrecked'} */ WRECKED: 'wrecked',
+  /** @type {'grappled'} */ GRAPPLED: 'grappled',
+  /** @type {'prone'} */ PRONE: 'prone',
+  /** @type {'hidden'} */ HIDDEN: 'hidden',
+  /** @type {'aiming'} */ AIMING: 'aiming',
+  /** @type {'dying'} */ DYING: 'dying',
+  /** @type {'sedated'} */ SEDATED: 'sedated',
+};
+
+/** @enum {string} */
+export const SIGNATURE_ITEM_BENEFITS = {
+  /** @type {'invoke'} */ INVOKE: 'invoke',
+  /** @type {'die'} */ DIE: 'die',
+  /** @type {'reroll'} */ REROLL: 'reroll',
+};
+
+/** @enum {string} */
+export const SPECIALTY_EFFECTS = {
+  /** @type {'extraDie'} */ EXTRA_DIE: 'extraDie',
+  /** @type {'ignorePenalty'} */ IGNORE_PENALTY: 'ignorePenalty',
+  /** @type {'reroll'} */ REROLL: 'reroll',
+  /** @type {'baneSuccess'} */ BANE_SUCCESS: 'baneSuccess',
+};
+
+/** @enum {string} */
+export const OPPOSED_ROLES = {
+  /** @type {'initiator'} */ INITIATOR: 'initiator',
+  /** @type {'resistor'} */ RESISTOR: 'resistor',
+};
+
 /** @enum {string} */
 export const NATURES = {
   /** @type {'human'} */ HUMAN: 'human',
@@ -62,6 +127,22 @@ export const ARCHETYPES = {
   /** @type {'skimmer'} */ SKIMMER: 'skimmer',
 };
 
+/** @enum {string} */
+export const YEARS_ON_THE_FORCE = {
+  /** @type {'rookie'} */ ROOKIE: 'rookie',
+  /** @type {'seasoned'} */ SEASONED: 'seasoned',
+  /** @type {'veteran'} */ VETERAN: 'veteran',
+  /** @type {'oldTimer'} */ OLD_TIMER: 'oldTimer',
+};
+
+/** @enum {string} */
+export const THREAT_TIERS = {
+  /** @type {'low'} */ LOW: 'low',
+  /** @type {'medium'} */ MEDIUM: 'medium',
+  /** @type {'high'} */ HIGH: 'high',
+  /** @type {'elite'} */ ELITE: 'elite',
+};
+
 /** @enum {string} */
 export const RANGES = {
   /** @type {0} */ ENGAGED: 0,
@@ -142,9 +223,12 @@ export const SETTINGS_KEYS = {
   /** @type {'autoArmorRoll'} */ AUTO_ARMOR_ROLL: 'autoArmorRoll',
   /** @type {'crashTable'} */ CRASH_TABLE: 'crashTable',
   /** @type {'crushingTable'} */ CRUSHING_TABLE: 'crushingTable',
+  /** @type {'deleteHealedInjuries'} */ DELETE_HEALED_INJURIES: 'deleteHealedInjuries',
   /** @type {'editNaturePermission'} */ EDIT_NATURE_PERMISSION: 'editNaturePermission',
+  /** @type {'integrityChecker'} */ INTEGRITY_CHECKER: 'integrityChecker',
   /** @type {'openFirstWeaponAttack'} */ OPEN_FIRST_WEAPON_ATTACK: 'openFirstWeaponAttack',
   /** @type {'piercingTable'} */ PIERCING_TABLE: 'piercingTable',
+  /** @type {'session'} */ SESSION: 'session',
   /** @type {'updateActorMvrOnCrew'} */ UPDATE_ACTOR_MANEUVERABILITY_ON_CREW: 'updateActorMvrOnCrew',
   /** @type {'updateActorMvrOnUncrew'} */ UPDATE_ACTOR_MANEUVERABILITY_ON_UNCREW: 'updateActorMvrOnUncrew',
   /** @type {'useActiveEffects'} */ USE_ACTIVE_EFFECTS: 'useActiveEffects',
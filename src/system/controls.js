@@ -0,0 +1,64 @@
+import AwardPointsDialog from '@components/award-points/award-points';
+import { endOfShift } from '@components/recovery/recovery';
+import BaselineDashboard from '@components/baseline/baseline';
+import VoightKampffApp from '@components/voight-kampff/voight-kampff';
+import PartyOverview from '@components/party-overview/party-overview';
+import { startNewSession } from './session.js';
+
+/**
+ * Adds the system's GM tools to the Token controls.
+ * @param {SceneControl[]} controls
+ */
+export function addSceneControlButtons(controls) {
+  const tokenControls = controls.find(c => c.name === 'token');
+  if (!tokenControls) return;
+
+  tokenControls.tools.push({
+    name: 'bladerunner-party-overview',
+    title: 'FLBR.PARTY_OVERVIEW.Title',
+    icon: 'fas fa-users-viewfinder',
+    visible: game.user.isGM,
+    button: true,
+    onClick: () => new PartyOverview().render(true),
+  });
+  tokenControls.tools.push({
+    name: 'bladerunner-award-points',
+    title: 'FLBR.AWARD_POINTS.Title',
+    icon: 'fas fa-award',
+    visible: game.user.isGM,
+    button: true,
+    onClick: () => new AwardPointsDialog().render(true),
+  });
+  tokenControls.tools.push({
+    name: 'bladerunner-new-session',
+    title: 'FLBR.SESSION.NewSession',
+    icon: 'fas fa-clapperboard',
+    visible: game.user.isGM,
+    button: true,
+    onClick: () => startNewSession(),
+  });
+  tokenControls.tools.push({
+    name: 'bladerunner-end-of-shift',
+    title: 'FLBR.RECOVERY.EndOfShift',
+    icon: 'fas fa-bed',
+    visible: game.user.isGM,
+    button: true,
+    onClick: () => endOfShift(),
+  });
+  tokenControls.tools.push({
+    name: 'bladerunner-baseline-dashboard',
+    title: 'FLBR.BASELINE.Dashboard',
+    icon: 'fas fa-eye',
+    visible: game.user.isGM,
+    button: true,
+    onClick: () => new BaselineDashboard().render(true),
+  });
+  tokenControls.tools.push({
+    name: 'bladerunner-voight-kampff',
+    title: 'FLBR.VOIGHT_KAMPFF.Title',
+    icon: 'fas fa-user-secret',
+    visible: game.user.isGM,
+    button: true,
+    onClick: () => new VoightKampffApp().render(true),
+  });
+}
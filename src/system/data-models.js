@@ -0,0 +1,25 @@
+import { ACTOR_TYPES, ITEM_TYPES } from './constants.js';
+import CharacterDataModel from '@actor/character/character-data';
+import VehicleDataModel from '@actor/vehicle/vehicle-data';
+import LootDataModel from '@actor/loot/loot-data';
+import * as ItemDataModels from '@item/item-data';
+
+/**
+ * Registers the data models of each actor and item type.
+ */
+export function registerDataModels() {
+  CONFIG.Actor.dataModels = {
+    [ACTOR_TYPES.CHAR]: CharacterDataModel,
+    [ACTOR_TYPES.VEHICLE]: VehicleDataModel,
+    [ACTOR_TYPES.LOOT]: LootDataModel,
+  };
+  CONFIG.Item.dataModels = {
+    [ITEM_TYPES.GENERIC]: ItemDataModels.GenericDataModel,
+    [ITEM_TYPES.SYNTHETIC_AUGMENTATION]: ItemDataModels.UpgradeDataModel,
+    [ITEM_TYPES.ARMOR]: ItemDataModels.ArmorDataModel,
+    [ITEM_TYPES.WEAPON]: ItemDataModels.WeaponDataModel,
+    [ITEM_TYPES.EXPLOSIVE]: ItemDataModels.ExplosiveDataModel,
+    [ITEM_TYPES.SPECIALTY]: ItemDataModels.SpecialtyDataModel,
+    [ITEM_TYPES.CRITICAL_INJURY]: ItemDataModels.InjuryDataModel,
+  };
+}
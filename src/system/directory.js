@@ -0,0 +1,37 @@
+import CharacterWizard from '@components/character-wizard/character-wizard';
+import NpcGenerator from '@components/npc-generator/npc-generator';
+import { importCharacter } from '@components/character-transfer/character-transfer';
+
+/**
+ * Adds the system's buttons to the header of the Actors Directory.
+ * @param {ActorDirectory} _app
+ * @param {JQuery} html
+ */
+export function addActorDirectoryButtons(_app, html) {
+  const actions = html.find('.directory-header .header-actions');
+  if (!actions.length) return;
+
+  if (CharacterWizard.canCreate) {
+    const button = $(`<button type="button" class="character-wizard-button">
+      <i class="fas fa-id-card"></i> ${game.i18n.localize('FLBR.CHARACTER_WIZARD.Button')}
+    </button>`);
+    button.on('click', () => new CharacterWizard().render(true));
+    actions.append(button);
+  }
+
+  if (game.user.isGM) {
+    const button = $(`<button type="button" class="npc-generator-button">
+      <i class="fas fa-users"></i> ${game.i18n.localize('FLBR.NPC_GENERATOR.Button')}
+    </button>`);
+    button.on('click', () => new NpcGenerator().render(true));
+    actions.append(button);
+  }
+
+  if (game.user.can('ACTOR_CREATE')) {
+    const button = $(`<button type="button" class="import-character-button">
+      <i class="fas fa-file-import"></i> ${game.i18n.localize('FLBR.CHARACTER_TRANSFER.Import')}
+    </button>`);
+    button.on('click', () => importCharacter());
+    actions.append(button);
+  }
+}
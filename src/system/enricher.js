@@ -132,23 +132,16 @@ async function chooserEnricher(match, options) {
 /* ------------------------------------------ */
 
 /**
- * - $1: Actor's name or ID
- * - $2: Given name overriding the default one
+ * Builds the lines of the stat block of an actor.
+ * Used by the `@BladeRunnerActor` enricher and the printable dossier.
+ * @param {Actor}    actor
+ * @param {Object}  [options]
+ * @param {boolean} [options.links=true] Whether the items are written as `@UUID` links (to be enriched)
+ * @returns {{ attributes: string[], skills: string[], specialties: string[], gear: string[] }}
  */
-const ACTOR_PATTERN = /@BladeRunnerActor\[(.+?)\](?:{(.+?)})?/gm;
-
-async function actorEnricher(match, _options) {
-  const actorDoc = document.createElement('div');
-
-  let actor = game.actors.get(match[1]);
-  if (!actor) actor = game.actors.getName(match[1]);
-  if (!actor) {
-    actorDoc.innerHTML = _createBrokenLink('entity-link', match[2] || '[actor?]');
-    return actorDoc;
-  }
-
-  const title = match[2] || actor.name;
+export function getActorStatBlock(actor, { links = true } = {}) {
   const sys = actor.system;
+  const itemName = item => (links ? `@UUID[${item.uuid}]` : item.name);
 
   // Builds attributes.
   const attributes = [];
@@ -172,7 +165,7 @@ async function actorEnricher(match, _options) {
   // Builds specialties.
   const specialties = [];
   for (const item of actor.items) {
-    if (item.type === ITEM_TYPES.SPECIALTY) specialties.push(`@UUID[${item.uuid}]`);
+    if (item.type === ITEM_TYPES.SPECIALTY) specialties.push(itemName(item));
   }
   if (specialties.length === 0) specialties.push('—');
 
@@ -181,13 +174,38 @@ async function actorEnricher(match, _options) {
   for (const item of actor.items) {
     if (item.isPhysical) {
       const text = (item.qty > 1 ? `${item.qty}X ` : '')
-        + `@UUID[${item.uuid}]`;
+        + itemName(item);
       gear.push(text);
     }
   }
   if (sys.signatureItem?.name) gear.push(sys.signatureItem.name);
   if (gear.length === 0) gear.push('—');
 
+  return { attributes, skills, specialties, gear };
+}
+
+/* ------------------------------------------ */
+
+/**
+ * - $1: Actor's name or ID
+ * - $2: Given name overriding the default one
+ */
+const ACTOR_PATTERN = /@BladeRunnerActor\[(.+?)\](?:{(.+?)})?/gm;
+
+async function actorEnricher(match, _options) {
+  const actorDoc = document.createElement('div');
+
+  let actor = game.actors.get(match[1]);
+  if (!actor) actor = game.actors.getName(match[1]);
+  if (!actor) {
+    actorDoc.innerHTML = _createBrokenLink('entity-link', match[2] || '[actor?]');
+    return actorDoc;
+  }
+
+  const title = match[2] || actor.name;
+  const sys = actor.system;
+  const { attributes, skills, specialties, gear } = getActorStatBlock(actor);
+
   const htmlFormat =
 `<h3>@UUID[${actor.uuid}]{${title}}</h3>
 ${sys.description ? `<div class="actor-description">${sys.description}</div>` : ''}
@@ -0,0 +1,511 @@
+import { FLBR } from './config.js';
+import { ACTOR_TYPES, SETTINGS_KEYS, SYSTEM_ID } from './constants.js';
+import semverComp from '@utils/semver-compare';
+import MigrationDialog from '@components/dialog/migration-dialog';
+
+/**
+ * @typedef {Object} MigrationStep
+ * A step of the migration registry. Each handler receives a copy of the document's source data
+ * (already processed by the previous steps) and returns the update data to apply to it.
+ * @property {string}   version   The system version that introduced the change (`x.y.z`)
+ * @property {string}  [label]    A short description of the change
+ * @property {(source: Object) => Object} [actor]    Migrates an actor (world, compendium or synthetic)
+ * @property {(source: Object) => Object} [item]     Migrates an item (world, compendium or owned)
+ * @property {(source: Object) => Object} [token]    Migrates a token placed in a scene
+ * @property {(source: Object) => Object} [message]  Migrates a chat message (and its rolls)
+ */
+
+/* ------------------------------------------ */
+/*  Migration Registry                        */
+/* ------------------------------------------ */
+
+/**
+ * The ordered registry of migration steps.
+ * ! Append new steps at the end, with an increasing version.
+ * ! Steps must be idempotent: compendiums do not record their migration version.
+ * @type {MigrationStep[]}
+ */
+export const MIGRATIONS = [
+  {
+    version: '11.0.1',
+    label: 'Completes the attributes and skills of the characters',
+    actor: source => {
+      if (source.type !== ACTOR_TYPES.CHAR) return {};
+      const updateData = {};
+      for (const attributeKey of FLBR.attributes) {
+        if (source.system.attributes?.[attributeKey]?.value == undefined) {
+          updateData[`system.attributes.${attributeKey}.value`] = FLBR.startingAttributeLevel;
+        }
+      }
+      for (const skillKey of Object.keys(FLBR.skillMap)) {
+        if (source.system.skills?.[skillKey]?.value == undefined) {
+          updateData[`system.skills.${skillKey}.value`] = FLBR.startingSkillLevel;
+        }
+      }
+      return updateData;
+    },
+  },
+];
+
+/* ------------------------------------------ */
+/*  Versions                                  */
+/* ------------------------------------------ */
+
+/**
+ * Gets the system version of the last migration performed in this world.
+ * @returns {string}
+ */
+export function getMigrationVersion() {
+  return game.settings.get(SYSTEM_ID, SETTINGS_KEYS.SYSTEM_MIGRATION_VERSION);
+}
+
+/**
+ * Records the system version of the last migration performed in this world.
+ * @param {string} [version=game.system.version]
+ * @returns {Promise.<string>}
+ */
+export function setMigrationVersion(version = game.system.version) {
+  return game.settings.set(SYSTEM_ID, SETTINGS_KEYS.SYSTEM_MIGRATION_VERSION, version);
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Gets the migration steps to run for a world or a compendium recorded at a given version.
+ * A step is pending if `fromVersion < step.version <= toVersion`.
+ * @param {string} [fromVersion] The recorded version (none = all the steps up to `toVersion`)
+ * @param {string} [toVersion=game.system.version]
+ * @returns {MigrationStep[]}
+ */
+export function getPendingMigrations(fromVersion, toVersion = game.system.version) {
+  return MIGRATIONS
+    .filter(step => semverComp(fromVersion || '0.0.0', step.version, toVersion, { lEqMax: true }))
+    .sort((a, b) => {
+      if (a.version === b.version) return 0;
+      return semverComp(a.version, b.version) ? -1 : 1;
+    });
+}
+
+/* ------------------------------------------ */
+/*  Migration Check                           */
+/* ------------------------------------------ */
+
+/**
+ * Determines whether a system migration is required and feasible, and performs it.
+ * Only the GM can migrate the world.
+ * @returns {Promise.<boolean>} Whether a migration was performed
+ */
+export async function checkMigration() {
+  if (!game.user.isGM) return false;
+
+  const currentVersion = getMigrationVersion();
+  const systemVersion = game.system.version;
+
+  // A fresh world has nothing to migrate.
+  const isFreshWorld = !currentVersion && !game.actors.size && !game.items.size;
+  if (isFreshWorld) {
+    await setMigrationVersion(systemVersion);
+    return false;
+  }
+
+  // The world was migrated by a newer version of the system.
+  if (currentVersion && semverComp(systemVersion, currentVersion)) {
+    ui.notifications.warn(game.i18n.format('FLBR.MIGRATION.NewerWorld', {
+      version: currentVersion,
+      system: systemVersion,
+    }), { permanent: true });
+    return false;
+  }
+
+  const steps = getPendingMigrations(currentVersion, systemVersion);
+  if (!steps.length) {
+    if (currentVersion !== systemVersion) await setMigrationVersion(systemVersion);
+    return false;
+  }
+
+  await migrateWorld(steps);
+  return true;
+}
+
+/* ------------------------------------------ */
+/*  World Migration                           */
+/* ------------------------------------------ */
+
+/**
+ * Performs a migration of the world's documents.
+ * Migrates actors, items, synthetic token actors, scene tokens and chat messages.
+ * @param {MigrationStep[]} [steps] The steps to run (default: those pending for the world)
+ * @returns {Promise.<number>} The number of documents that failed to migrate
+ */
+export async function migrateWorld(steps) {
+  steps = steps ?? getPendingMigrations(getMigrationVersion());
+  const version = game.system.version;
+
+  ui.notifications.info(game.i18n.format('FLBR.MIGRATION.Begin', { version }), { permanent: true });
+
+  const total = game.actors.size + game.items.size + game.scenes.size + game.messages.size;
+  const dialog = new MigrationDialog({ title: game.i18n.format('FLBR.MIGRATION.Title', { version }), total });
+  await dialog.render(true);
+
+  let failures = 0;
+  const migrate = async (doc, fn) => {
+    dialog.advance(doc.name ?? doc.id);
+    try {
+      await fn(doc);
+    }
+    catch (err) {
+      failures++;
+      err.message = `Blade Runner RPG | Failed migration for ${doc.documentName} ${doc.name ?? doc.id}: ${err.message}`;
+      console.error(err);
+    }
+  };
+
+  // Migrates world actors.
+  for (const actor of game.actors) {
+    await migrate(actor, a => migrateActor(a, steps));
+  }
+
+  // Migrates world items.
+  for (const item of game.items) {
+    await migrate(item, i => migrateItem(i, steps));
+  }
+
+  // Migrates scene tokens and their synthetic actors.
+  for (const scene of game.scenes) {
+    await migrate(scene, s => migrateScene(s, steps));
+  }
+
+  // Migrates chat messages.
+  for (const message of game.messages) {
+    await migrate(message, m => migrateMessage(m, steps));
+  }
+
+  // The version is recorded only if every document was migrated, so that the failed ones are retried.
+  if (!failures) await setMigrationVersion(version);
+  await dialog.close();
+
+  if (failures) {
+    ui.notifications.error(game.i18n.format('FLBR.MIGRATION.Failures', { count: failures }), { permanent: true });
+    return failures;
+  }
+  ui.notifications.info(game.i18n.format('FLBR.MIGRATION.Complete', { version }), { permanent: true });
+  return failures;
+}
+
+/* ------------------------------------------ */
+/*  Compendium Migration                      */
+/* ------------------------------------------ */
+
+/**
+ * The document types that can be migrated in a compendium.
+ * @type {string[]}
+ * @constant
+ */
+const MIGRATABLE_PACK_TYPES = ['Actor', 'Item', 'Scene'];
+
+/**
+ * @typedef {Object} MigrationFailure
+ * @property {string} pack  The collection ID of the compendium
+ * @property {string} id    The ID of the document
+ * @property {string} name  The name of the document
+ * @property {string} error The error message
+ */
+
+/**
+ * Gets the compendiums that can be migrated.
+ * Excludes the packs of other game systems.
+ * @returns {CompendiumCollection[]}
+ */
+export function getMigratablePacks() {
+  return game.packs.filter(pack =>
+    MIGRATABLE_PACK_TYPES.includes(pack.documentName) &&
+    (!pack.metadata.system || pack.metadata.system === game.system.id),
+  );
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Migrates the documents of a compendium.
+ * The compendium is unlocked during the migration and locked back afterwards, if it was.
+ * @param {CompendiumCollection} pack
+ * @param {MigrationStep[]}     [steps]    The steps to run (default: all up to the current version)
+ * @param {MigrationDialog}     [dialog]   A progress dialog to advance
+ * @returns {Promise.<MigrationFailure[]>} The documents that failed to migrate
+ */
+export async function migrateCompendium(pack, steps, dialog) {
+  if (!MIGRATABLE_PACK_TYPES.includes(pack.documentName)) return [];
+  steps = steps ?? getPendingMigrations();
+
+  const failures = [];
+  const wasLocked = pack.locked;
+  await pack.configure({ locked: false });
+
+  try {
+    await pack.migrate();
+    const documents = await pack.getDocuments();
+    for (const doc of documents) {
+      dialog?.advance(`${pack.metadata.label}: ${doc.name}`);
+      try {
+        switch (pack.documentName) {
+          case 'Actor': await migrateActor(doc, steps); break;
+          case 'Item': await migrateItem(doc, steps); break;
+          case 'Scene': await migrateScene(doc, steps); break;
+        }
+      }
+      catch (err) {
+        failures.push({ pack: pack.collection, id: doc.id, name: doc.name, error: err.message });
+        err.message = `Blade Runner RPG | Failed migration for ${doc.documentName} ${doc.name} `
+          + `in pack ${pack.collection}: ${err.message}`;
+        console.error(err);
+      }
+    }
+  }
+  finally {
+    await pack.configure({ locked: wasLocked });
+  }
+
+  console.log(`Blade Runner RPG | Migrated all ${pack.documentName} documents from Compendium ${pack.collection}`);
+  return failures;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Migrates several compendiums and posts a report in the chat (whispered to the GM).
+ * @param {Object}                  [options]
+ * @param {CompendiumCollection[]}  [options.packs]  The packs to migrate (default: all the migratable packs)
+ * @param {MigrationStep[]}         [options.steps]  The steps to run (default: all up to the current version)
+ * @returns {Promise.<MigrationFailure[]>} The documents that failed to migrate
+ */
+export async function migrateCompendiums({ packs, steps } = {}) {
+  if (!game.user.isGM) {
+    ui.notifications.warn('FLBR.MIGRATION.GMOnly', { localize: true });
+    return [];
+  }
+  packs = packs ?? getMigratablePacks();
+  steps = steps ?? getPendingMigrations();
+  const version = game.system.version;
+
+  const total = packs.reduce((sum, pack) => sum + pack.index.size, 0);
+  const dialog = new MigrationDialog({ title: game.i18n.format('FLBR.MIGRATION.Title', { version }), total });
+  await dialog.render(true);
+
+  const report = [];
+  const failures = [];
+  for (const pack of packs) {
+    let packFailures;
+    try {
+      packFailures = await migrateCompendium(pack, steps, dialog);
+    }
+    catch (err) {
+      // The whole pack failed (e.g. it could not be unlocked).
+      console.error(err);
+      packFailures = [{ pack: pack.collection, id: '', name: pack.metadata.label, error: err.message }];
+    }
+    failures.push(...packFailures);
+    report.push({
+      label: pack.metadata.label,
+      collection: pack.collection,
+      size: pack.index.size,
+      failures: packFailures,
+    });
+  }
+
+  await dialog.close();
+
+  const template = `systems/${SYSTEM_ID}/templates/system/migration-report-chatcard.hbs`;
+  const content = await renderTemplate(template, { version, packs: report, failures: failures.length });
+  await ChatMessage.create({
+    content,
+    whisper: ChatMessage.getWhisperRecipients('GM'),
+    speaker: { alias: 'Blade Runner RPG' },
+    user: game.user.id,
+  });
+
+  return failures;
+}
+
+/**
+ * Asks the GM to confirm the migration of the compendiums, then performs it.
+ * Used by the `/migrate [pack]` chat command.
+ * @param {string} [packId] The collection ID or the label of a single pack to migrate
+ * @returns {Promise.<MigrationFailure[]|false>} The failures, or `false` if cancelled
+ */
+export async function promptCompendiumsMigration(packId) {
+  if (!game.user.isGM) {
+    ui.notifications.warn('FLBR.MIGRATION.GMOnly', { localize: true });
+    return false;
+  }
+  let packs = getMigratablePacks();
+  if (packId) {
+    packs = packs.filter(p => p.collection === packId || p.metadata.label === packId);
+    if (!packs.length) {
+      ui.notifications.warn(game.i18n.format('FLBR.MIGRATION.PackNotFound', { pack: packId }));
+      return false;
+    }
+  }
+  const confirmed = await Dialog.confirm({
+    title: game.i18n.localize('FLBR.MIGRATION.CompendiumsTitle'),
+    content: game.i18n.format('FLBR.MIGRATION.CompendiumsConfirm', {
+      version: game.system.version,
+      packs: packs.map(p => `<li>${p.metadata.label} <small>(${p.collection})</small></li>`).join(''),
+    }),
+    options: { classes: [SYSTEM_ID, 'dialog'] },
+  });
+  if (!confirmed) return false;
+  return migrateCompendiums({ packs });
+}
+
+/* ------------------------------------------ */
+/*  Document Migration                        */
+/* ------------------------------------------ */
+
+/**
+ * Migrates an actor and its owned items.
+ * Works with world, compendium and synthetic (unlinked token) actors.
+ * @param {Actor}            actor
+ * @param {MigrationStep[]}  steps
+ * @returns {Promise.<boolean>} Whether the actor was updated
+ */
+export async function migrateActor(actor, steps) {
+  const { items, ...updateData } = migrateActorData(actor.toObject(), steps);
+  let updated = false;
+  if (!foundry.utils.isEmpty(updateData)) {
+    await actor.update(updateData, { enforceTypes: false, render: false });
+    updated = true;
+  }
+  if (items?.length) {
+    await actor.updateEmbeddedDocuments('Item', items, { enforceTypes: false, render: false });
+    updated = true;
+  }
+  return updated;
+}
+
+/**
+ * Migrates an item.
+ * @param {Item}             item
+ * @param {MigrationStep[]}  steps
+ * @returns {Promise.<boolean>} Whether the item was updated
+ */
+export async function migrateItem(item, steps) {
+  const updateData = migrateItemData(item.toObject(), steps);
+  if (foundry.utils.isEmpty(updateData)) return false;
+  await item.update(updateData, { enforceTypes: false, render: false });
+  return true;
+}
+
+/**
+ * Migrates the tokens of a scene and the synthetic actors of the unlinked ones.
+ * @param {Scene}            scene
+ * @param {MigrationStep[]}  steps
+ * @returns {Promise.<boolean>} Whether the scene was updated
+ */
+export async function migrateScene(scene, steps) {
+  let updated = false;
+  const tokenUpdates = [];
+  for (const token of scene.tokens) {
+    const updateData = migrateTokenData(token.toObject(), steps);
+    if (!foundry.utils.isEmpty(updateData)) tokenUpdates.push({ ...updateData, _id: token.id });
+
+    // Linked actors are already migrated with the world's actors.
+    if (!token.actorLink && token.actor) {
+      updated = await migrateActor(token.actor, steps) || updated;
+    }
+  }
+  if (tokenUpdates.length) {
+    await scene.updateEmbeddedDocuments('Token', tokenUpdates, { enforceTypes: false, render: false });
+    updated = true;
+  }
+  return updated;
+}
+
+/**
+ * Migrates a chat message and its rolls.
+ * @param {ChatMessage}      message
+ * @param {MigrationStep[]}  steps
+ * @returns {Promise.<boolean>} Whether the message was updated
+ */
+export async function migrateMessage(message, steps) {
+  const updateData = migrateMessageData(message.toObject(), steps);
+  if (foundry.utils.isEmpty(updateData)) return false;
+  await message.update(updateData, { enforceTypes: false, render: false });
+  return true;
+}
+
+/* ------------------------------------------ */
+/*  Data Migration                            */
+/* ------------------------------------------ */
+
+/**
+ * Runs the handlers of the steps in order over a copy of the source data.
+ * @param {Object}           source  The source data of the document
+ * @param {MigrationStep[]}  steps
+ * @param {string}           key     The handler to run
+ * @returns {Object} The cumulated update data
+ * @private
+ */
+function _runSteps(source, steps, key) {
+  source = foundry.utils.deepClone(source);
+  const updateData = {};
+  for (const step of steps) {
+    const stepUpdate = step[key]?.(source) ?? {};
+    if (foundry.utils.isEmpty(stepUpdate)) continue;
+    // The next steps see the data as migrated by the previous ones.
+    foundry.utils.mergeObject(source, stepUpdate, { performDeletions: true });
+    foundry.utils.mergeObject(updateData, foundry.utils.expandObject(stepUpdate));
+  }
+  return updateData;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Migrates the source data of an actor and its owned items.
+ * @param {Object}           source  The source data of the actor
+ * @param {MigrationStep[]}  steps
+ * @returns {Object} The update data, with an `items` array of owned item updates
+ */
+export function migrateActorData(source, steps) {
+  const updateData = _runSteps(source, steps, 'actor');
+
+  const items = [];
+  for (const itemSource of source.items ?? []) {
+    const itemUpdate = migrateItemData(itemSource, steps);
+    if (!foundry.utils.isEmpty(itemUpdate)) items.push({ ...itemUpdate, _id: itemSource._id });
+  }
+  if (items.length) updateData.items = items;
+
+  return updateData;
+}
+
+/**
+ * Migrates the source data of an item.
+ * @param {Object}           source  The source data of the item
+ * @param {MigrationStep[]}  steps
+ * @returns {Object} The update data
+ */
+export function migrateItemData(source, steps) {
+  return _runSteps(source, steps, 'item');
+}
+
+/**
+ * Migrates the source data of a token.
+ * @param {Object}           source  The source data of the token
+ * @param {MigrationStep[]}  steps
+ * @returns {Object} The update data
+ */
+export function migrateTokenData(source, steps) {
+  return _runSteps(source, steps, 'token');
+}
+
+/**
+ * Migrates the source data of a chat message.
+ * Its `rolls` are serialized JSON strings.
+ * @param {Object}           source  The source data of the chat message
+ * @param {MigrationStep[]}  steps
+ * @returns {Object} The update data
+ */
+export function migrateMessageData(source, steps) {
+  return _runSteps(source, steps, 'message');
+}
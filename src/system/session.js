@@ -0,0 +1,69 @@
+import { ACTOR_TYPES, SETTINGS_KEYS, SYSTEM_ID } from './constants.js';
+
+/**
+ * @typedef {Object} GameSession
+ * @property {string} id         The identifier of the session (empty if none was started yet)
+ * @property {number} number     The number of the session, starting at 1
+ * @property {number} startedAt  The timestamp of the start of the session
+ */
+
+/* ------------------------------------------ */
+
+/**
+ * Gets the current game session.
+ * @returns {GameSession}
+ */
+export function getCurrentSession() {
+  return game.settings.get(SYSTEM_ID, SETTINGS_KEYS.SESSION);
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Starts a new game session (GM only).
+ * Everything that is tracked per session (e.g. the push log) starts over.
+ * @param {Object}  [options]
+ * @param {boolean} [options.skipDialog=false] Whether to skip the confirmation dialog
+ * @returns {Promise.<GameSession|undefined>}
+ */
+export async function startNewSession({ skipDialog = false } = {}) {
+  if (!game.user.isGM) return;
+
+  const previous = getCurrentSession();
+  const number = (previous.number || 0) + 1;
+
+  if (!skipDialog) {
+    const ok = await Dialog.confirm({
+      title: game.i18n.localize('FLBR.SESSION.NewSession'),
+      content: `<p>${game.i18n.format('FLBR.SESSION.NewSessionHint', { number })}</p>`,
+      defaultYes: false,
+    });
+    if (!ok) return;
+  }
+
+  /** @type {GameSession} */
+  const session = {
+    id: foundry.utils.randomID(),
+    number,
+    startedAt: Date.now(),
+  };
+  await game.settings.set(SYSTEM_ID, SETTINGS_KEYS.SESSION, session);
+  return session;
+}
+
+/* ------------------------------------------ */
+
+/**
+ * Called on every client when a new game session has been started.
+ * @param {GameSession} session
+ */
+export function onSessionChange(session) {
+  ui.notifications.info(game.i18n.format('FLBR.SESSION.Started', { number: session.number }));
+
+  // Refreshes the character sheets displaying per-session data.
+  for (const actor of game.actors) {
+    if (actor.type === ACTOR_TYPES.CHAR && actor.sheet?.rendered) actor.sheet.render();
+  }
+
+  Hooks.callAll('bladeRunnerNewSession', session);
+}
@@ -2,6 +2,8 @@
 // ? config: true (visible)
 
 import { SETTINGS_KEYS, SYSTEM_ID } from './constants.js';
+import { onSessionChange } from './session.js';
+import IntegrityChecker from '@components/integrity/integrity-checker';
 
 export function registerSystemSettings() {
   const sysId = game.system.id || SYSTEM_ID;
@@ -21,6 +23,15 @@ export function registerSystemSettings() {
     type: Array,
     default: [],
   });
+  game.settings.register(sysId, SETTINGS_KEYS.SESSION, {
+    name: 'Current Game Session',
+    hint: 'Used to group what happens during a game session (e.g. the pushes)',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: { id: '', number: 0, startedAt: 0 },
+    onChange: onSessionChange,
+  });
   game.settings.register(sysId, SETTINGS_KEYS.CRUSHING_TABLE, {
     name: 'SETTINGS.BLADE_RUNNER.CrushingTableName',
     hint: 'SETTINGS.BLADE_RUNNER.CrushingTableHint',
@@ -69,6 +80,14 @@ export function registerSystemSettings() {
     type: Boolean,
     default: false,
   });
+  game.settings.register(sysId, SETTINGS_KEYS.DELETE_HEALED_INJURIES, {
+    name: 'SETTINGS.BLADE_RUNNER.DeleteHealedInjuriesName',
+    hint: 'SETTINGS.BLADE_RUNNER.DeleteHealedInjuriesHint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+  });
   game.settings.register(sysId, SETTINGS_KEYS.OPEN_FIRST_WEAPON_ATTACK, {
     name: 'SETTINGS.BLADE_RUNNER.OpenFirstWeaponAttackName',
     hint: 'SETTINGS.BLADE_RUNNER.OpenFirstWeaponAttackHint',
@@ -101,4 +120,13 @@ export function registerSystemSettings() {
     type: Boolean,
     default: false,
   });
+
+  game.settings.registerMenu(sysId, SETTINGS_KEYS.INTEGRITY_CHECKER, {
+    name: 'SETTINGS.BLADE_RUNNER.IntegrityCheckerName',
+    label: 'SETTINGS.BLADE_RUNNER.IntegrityCheckerLabel',
+    hint: 'SETTINGS.BLADE_RUNNER.IntegrityCheckerHint',
+    icon: 'fas fa-stethoscope',
+    type: IntegrityChecker,
+    restricted: true,
+  });
 }
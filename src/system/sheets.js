@@ -1,4 +1,5 @@
 import BladeRunnerCharacterSheet from '@actor/character/character-sheet.js';
+import BladeRunnerNpcSheet from '@actor/character/npc-sheet.js';
 import BladeRunnerLootSheet from '@actor/loot/loot-sheet.js';
 import BladeRunnerVehicleSheet from '@actor/vehicle/vehicle-sheet.js';
 import BladeRunnerItemSheet from '@item/item-sheet.js';
@@ -9,6 +10,7 @@ export function registerSheets() {
 
   Actors.unregisterSheet('core', ActorSheet);
   Actors.registerSheet(br, BladeRunnerCharacterSheet, { types: [ACTOR_TYPES.CHAR], makeDefault: true });
+  Actors.registerSheet(br, BladeRunnerNpcSheet, { types: [ACTOR_TYPES.CHAR], label: 'FLBR.NpcSheet' });
   Actors.registerSheet(br, BladeRunnerVehicleSheet, { types: [ACTOR_TYPES.VEHICLE], makeDefault: true });
   Actors.registerSheet(br, BladeRunnerLootSheet, { types: [ACTOR_TYPES.LOOT], makeDefault: true });
 
@@ -0,0 +1,35 @@
+/**
+ * @typedef {Object} ItemChoice
+ * @property {string} uuid
+ * @property {string} name
+ * @property {string} img
+ * @property {string} type
+ * @property {string} source  The label of the compendium, or empty for world items
+ */
+
+/**
+ * Gathers the items of the given types from the world and the Item compendiums.
+ * Compendium items are read from their index, without loading the documents.
+ * @param {string[]} types
+ * @returns {Promise.<ItemChoice[]>} Sorted by name
+ */
+export async function getItemChoices(types) {
+  const choices = game.items
+    .filter(i => types.includes(i.type))
+    .map(i => ({ uuid: i.uuid, name: i.name, img: i.img, type: i.type, source: '' }));
+
+  for (const pack of game.packs.filter(p => p.documentName === 'Item')) {
+    const index = await pack.getIndex({ fields: ['type'] });
+    for (const entry of index) {
+      if (!types.includes(entry.type)) continue;
+      choices.push({
+        uuid: pack.getUuid(entry._id),
+        name: entry.name,
+        img: entry.img,
+        type: entry.type,
+        source: pack.metadata.label,
+      });
+    }
+  }
+  return choices.sort((a, b) => a.name.localeCompare(b.name));
+}